@@ -0,0 +1,35 @@
+const { registerJob, startJobs, stopJobs } = require('./runner');
+const publishScheduledPosts = require('./publishScheduledPosts');
+const refreshTrendingScores = require('./refreshTrendingScores');
+const refreshRelatedPosts = require('./refreshRelatedPosts');
+const { rebuildSuggestionIndex } = require('../utils/suggestions');
+
+registerJob(
+  'publish-scheduled-posts',
+  parseInt(process.env.SCHEDULER_INTERVAL_MS) || 60 * 1000,
+  publishScheduledPosts
+);
+
+// Periodic rebuild picks up changes made through other instances
+registerJob(
+  'rebuild-suggestion-index',
+  parseInt(process.env.SUGGESTION_INDEX_INTERVAL_MS) || 10 * 60 * 1000,
+  rebuildSuggestionIndex
+);
+
+registerJob(
+  'refresh-trending-scores',
+  parseInt(process.env.TRENDING_INTERVAL_MS) || 15 * 60 * 1000,
+  refreshTrendingScores
+);
+
+registerJob(
+  'refresh-related-posts',
+  parseInt(process.env.RELATED_POSTS_INTERVAL_MS) || 6 * 60 * 60 * 1000,
+  refreshRelatedPosts
+);
+
+module.exports = {
+  startJobs,
+  stopJobs
+};
@@ -0,0 +1,75 @@
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const PostTransition = require('../models/PostTransition');
+const { scheduleSuggestionRebuild } = require('../utils/suggestions');
+const { refreshRelatedPosts } = require('../utils/related');
+
+// Drafts given a scheduledFor before the editorial workflow existed were
+// published straight from draft; move them into `scheduled` so they are
+// claimed below (and listed with the other scheduled posts).
+const adoptLegacySchedules = async () => {
+  const drafts = await Post.find({ status: 'draft', scheduledFor: { $ne: null } }).select('_id');
+
+  for (const draft of drafts) {
+    const result = await Post.updateOne(
+      { _id: draft._id, status: 'draft', scheduledFor: { $ne: null } },
+      { $set: { status: 'scheduled' } }
+    );
+    if (result.modifiedCount > 0) {
+      await PostTransition.record(draft._id, 'draft', 'scheduled', null, 'Scheduled before the editorial workflow');
+    }
+  }
+};
+
+// Publish every scheduled post whose scheduledFor time has passed.
+// Posts are claimed one at a time with an atomic findOneAndUpdate, so when
+// several instances share the same database each post is published once.
+const publishScheduledPosts = async () => {
+  const published = [];
+  const categoryIds = new Set();
+
+  await adoptLegacySchedules();
+
+  while (true) {
+    const post = await Post.findOneAndUpdate(
+      {
+        status: 'scheduled',
+        scheduledFor: { $ne: null, $lte: new Date() }
+      },
+      [
+        {
+          $set: {
+            status: 'published',
+            publishedAt: '$scheduledFor',
+            scheduledFor: null
+          }
+        }
+      ],
+      { new: true, sort: { scheduledFor: 1 } }
+    );
+
+    if (!post) break;
+
+    published.push(post);
+    await PostTransition.record(post._id, 'scheduled', 'published', null, 'Published on schedule');
+    await refreshRelatedPosts(post);
+    categoryIds.add(post.category.toString());
+  }
+
+  // Refresh post counts for affected categories
+  for (const categoryId of categoryIds) {
+    const category = await Category.findById(categoryId);
+    if (category) {
+      await category.updatePostCount();
+    }
+  }
+
+  if (published.length > 0) {
+    scheduleSuggestionRebuild();
+    console.log(`📅 Published ${published.length} scheduled post(s)`);
+  }
+
+  return published;
+};
+
+module.exports = publishScheduledPosts;
@@ -0,0 +1,20 @@
+const Post = require('../models/Post');
+const { refreshRelatedPosts: refreshPost } = require('../utils/related');
+
+// Recompute related posts for every published post, so older posts pick
+// up newer related content
+const refreshRelatedPosts = async () => {
+  const cursor = Post.find({ status: 'published' })
+    .select('title excerpt tags category status relatedPinned relatedExcluded')
+    .cursor();
+
+  let refreshed = 0;
+  for await (const post of cursor) {
+    await refreshPost(post);
+    refreshed++;
+  }
+
+  return refreshed;
+};
+
+module.exports = refreshRelatedPosts;
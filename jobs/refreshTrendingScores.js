@@ -0,0 +1,88 @@
+const Post = require('../models/Post');
+const PostDailyStat = require('../models/PostDailyStat');
+const Reaction = require('../models/Reaction');
+const Comment = require('../models/Comment');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Relative weight of each kind of activity in the score
+const WEIGHTS = {
+  views: 1,
+  likes: 3,
+  comments: 4,
+  shares: 5
+};
+
+// Activity older than this many half-lives contributes under 0.5% and is
+// ignored
+const LOOKBACK_HALF_LIVES = 8;
+
+const getHalfLifeMs = () => (parseFloat(process.env.TRENDING_HALF_LIFE_HOURS) || 24) * HOUR_MS;
+
+// Aggregation expression for the decay factor of an event at `dateExpr`
+const decayFactor = (dateExpr, now, halfLifeMs) => ({
+  $pow: [
+    0.5,
+    { $divide: [{ $max: [{ $subtract: [now, dateExpr] }, 0] }, halfLifeMs] }
+  ]
+});
+
+// Recompute Post.trendingScore for every post with recent activity.
+// Each view, like, share and approved comment is weighted by its kind and
+// decays exponentially with age, so the score tracks current velocity
+// rather than lifetime totals. Daily views and shares are dated at noon
+// UTC of their day.
+const refreshTrendingScores = async () => {
+  const now = new Date();
+  const halfLifeMs = getHalfLifeMs();
+  const since = new Date(now.getTime() - LOOKBACK_HALF_LIVES * halfLifeMs);
+
+  const [dailyStats, likes, comments] = await Promise.all([
+    PostDailyStat.aggregate([
+      { $match: { date: { $gte: PostDailyStat.startOfDay(since) } } },
+      {
+        $project: {
+          post: 1,
+          activity: { $add: [{ $multiply: ['$views', WEIGHTS.views] }, { $multiply: ['$shares', WEIGHTS.shares] }] },
+          decay: decayFactor({ $add: ['$date', 12 * HOUR_MS] }, now, halfLifeMs)
+        }
+      },
+      { $group: { _id: '$post', score: { $sum: { $multiply: ['$activity', '$decay'] } } } }
+    ]),
+    Reaction.aggregate([
+      { $match: { type: 'like', createdAt: { $gte: since } } },
+      { $group: { _id: '$post', score: { $sum: { $multiply: [WEIGHTS.likes, decayFactor('$createdAt', now, halfLifeMs)] } } } }
+    ]),
+    Comment.aggregate([
+      { $match: { isApproved: true, createdAt: { $gte: since } } },
+      { $group: { _id: '$postId', score: { $sum: { $multiply: [WEIGHTS.comments, decayFactor('$createdAt', now, halfLifeMs)] } } } }
+    ])
+  ]);
+
+  const scores = new Map();
+  [...dailyStats, ...likes, ...comments].forEach(entry => {
+    const postId = entry._id.toString();
+    scores.set(postId, (scores.get(postId) || 0) + entry.score);
+  });
+
+  // Scores are derived fields, so updatedAt (sitemaps, feeds) is left alone
+  if (scores.size > 0) {
+    await Post.bulkWrite(Array.from(scores, ([postId, score]) => ({
+      updateOne: {
+        filter: { _id: postId },
+        update: { $set: { trendingScore: Math.round(score * 1000) / 1000, trendingUpdatedAt: now } }
+      }
+    })), { ordered: false, timestamps: false });
+  }
+
+  // Posts with no activity left in the window drop out of trending
+  await Post.updateMany(
+    { trendingScore: { $gt: 0 }, _id: { $nin: Array.from(scores.keys()) } },
+    { $set: { trendingScore: 0, trendingUpdatedAt: now } },
+    { timestamps: false }
+  );
+
+  return scores.size;
+};
+
+module.exports = refreshTrendingScores;
@@ -0,0 +1,55 @@
+// Minimal in-process job runner.
+// Each job runs on its own interval and is guarded so a slow run never
+// overlaps with the next tick on the same instance. Cross-instance safety
+// is the job's own responsibility (use atomic updates to claim work).
+
+const jobs = [];
+
+// Register a job to be started by startJobs()
+const registerJob = (name, intervalMs, handler) => {
+  jobs.push({ name, intervalMs, handler, timer: null, running: false });
+};
+
+const runJob = async (job) => {
+  if (job.running) return;
+
+  job.running = true;
+  try {
+    await job.handler();
+  } catch (error) {
+    console.error(`Job "${job.name}" failed:`, error);
+  } finally {
+    job.running = false;
+  }
+};
+
+// Start all registered jobs (runs each once immediately)
+const startJobs = () => {
+  jobs.forEach(job => {
+    if (job.timer) return;
+
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    job.timer.unref();
+    runJob(job);
+  });
+
+  if (jobs.length > 0) {
+    console.log(`⏰ Started ${jobs.length} background job(s)`);
+  }
+};
+
+// Stop all running jobs
+const stopJobs = () => {
+  jobs.forEach(job => {
+    if (job.timer) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+  });
+};
+
+module.exports = {
+  registerJob,
+  startJobs,
+  stopJobs
+};
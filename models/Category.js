@@ -1,5 +1,5 @@
 const mongoose = require('mongoose');
-const slugify = require('slugify');
+const slugHistory = require('./plugins/slugHistory');
 
 const categorySchema = new mongoose.Schema({
   name: {
@@ -15,6 +15,11 @@ const categorySchema = new mongoose.Schema({
     lowercase: true,
     index: true
   },
+  // Slugs the category was previously reachable at (for redirects)
+  previousSlugs: [{
+    type: String,
+    lowercase: true
+  }],
   description: {
     type: String,
     maxlength: [500, 'Description cannot exceed 500 characters']
@@ -75,6 +80,7 @@ const categorySchema = new mongoose.Schema({
 
 // Indexes
 categorySchema.index({ slug: 1 });
+categorySchema.index({ previousSlugs: 1 });
 categorySchema.index({ isActive: 1, sortOrder: 1 });
 categorySchema.index({ parentCategory: 1 });
 
@@ -97,16 +103,11 @@ categorySchema.virtual('posts', {
   foreignField: 'category'
 });
 
-// Pre-save middleware to generate slug
+// Slug from name; old slugs kept for redirects
+categorySchema.plugin(slugHistory, { source: 'name', unique: false });
+
+// Pre-save middleware to generate SEO meta data
 categorySchema.pre('save', function(next) {
-  if (this.isModified('name') || this.isNew) {
-    this.slug = slugify(this.name, {
-      lower: true,
-      strict: true,
-      remove: /[*+~.()'"!:@]/g
-    });
-  }
-  
   // Auto-generate SEO meta data if not provided
   if (!this.seo.metaTitle) {
     this.seo.metaTitle = this.name;
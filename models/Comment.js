@@ -1,5 +1,7 @@
 const mongoose = require('mongoose');
 
+const COMMENT_STATUSES = ['pending', 'approved', 'rejected', 'spam'];
+
 const CommentSchema = new mongoose.Schema({
   postId: {
     type: mongoose.Schema.Types.ObjectId,
@@ -23,15 +25,92 @@ const CommentSchema = new mongoose.Schema({
     ref: 'Comment',
     default: null
   },
+  // Kept in sync with status ('approved') for public queries
   isApproved: {
     type: Boolean,
     default: false
   },
+  // Moderation state (comments saved before it existed derive it from
+  // isApproved when loaded)
+  status: {
+    type: String,
+    enum: COMMENT_STATUSES
+  },
+  rejectionReason: {
+    type: String,
+    maxlength: 500,
+    default: ''
+  },
+  moderatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  moderatedAt: {
+    type: Date,
+    default: null
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
-module.exports = mongoose.model('Comment', CommentSchema);
+CommentSchema.index({ postId: 1, isApproved: 1, createdAt: -1 });
+CommentSchema.index({ postId: 1, parentId: 1, isApproved: 1, createdAt: 1 });
+CommentSchema.index({ status: 1, createdAt: -1 });
+
+CommentSchema.post('init', function() {
+  if (!this.status) {
+    this.status = this.isApproved ? 'approved' : 'pending';
+  }
+});
+
+CommentSchema.pre('validate', function(next) {
+  if (!this.status) {
+    this.status = this.isApproved ? 'approved' : 'pending';
+  }
+  this.isApproved = this.status === 'approved';
+  next();
+});
+
+// Filter for comments in a moderation state, including comments stored
+// before the status field existed
+CommentSchema.statics.statusFilter = function(status) {
+  if (status === 'approved' || status === 'pending') {
+    return {
+      $or: [
+        { status },
+        { status: { $exists: false }, isApproved: status === 'approved' }
+      ]
+    };
+  }
+  return { status };
+};
 
+// Update fields for moving comments to a moderation state
+CommentSchema.statics.moderationUpdate = function(status, userId, reason = '') {
+  return {
+    status,
+    isApproved: status === 'approved',
+    rejectionReason: status === 'rejected' ? reason : '',
+    moderatedBy: userId || null,
+    moderatedAt: new Date()
+  };
+};
+
+// Recount approved comments on posts (Post.commentCount); a recount isn't
+// an edit, so the posts' updatedAt is left alone
+CommentSchema.statics.syncPostCounts = async function(postIds) {
+  const Post = mongoose.model('Post');
+  const ids = [...new Set(postIds.map(String))];
+
+  for (const postId of ids) {
+    const count = await this.countDocuments({ postId, isApproved: true });
+    await Post.updateOne({ _id: postId }, { $set: { commentCount: count } }, { timestamps: false });
+  }
+};
+
+CommentSchema.statics.STATUSES = COMMENT_STATUSES;
+
+module.exports = mongoose.model('Comment', CommentSchema);
@@ -0,0 +1,47 @@
+const mongoose = require('mongoose');
+const slugHistory = require('./plugins/slugHistory');
+
+// Profile for a contributor without a login (guest writers, photographers...)
+const guestAuthorSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Name is required'],
+    trim: true,
+    maxlength: [100, 'Name cannot exceed 100 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true
+  },
+  bio: {
+    type: String,
+    maxlength: [500, 'Bio cannot exceed 500 characters'],
+    default: ''
+  },
+  avatar: {
+    type: String,
+    default: null
+  },
+  links: [{
+    _id: false,
+    label: {
+      type: String,
+      required: true,
+      trim: true,
+      maxlength: [50, 'Link label cannot exceed 50 characters']
+    },
+    url: {
+      type: String,
+      required: true,
+      trim: true
+    }
+  }]
+}, {
+  timestamps: true
+});
+
+// Slug from name
+guestAuthorSchema.plugin(slugHistory, { source: 'name', history: false });
+
+module.exports = mongoose.model('GuestAuthor', guestAuthorSchema);
@@ -1,5 +1,11 @@
 const mongoose = require('mongoose');
-const slugify = require('slugify');
+const { renderContent, toPlainText, extractHeadings, buildToc } = require('../utils/render');
+const { STATUSES } = require('../utils/workflow');
+const Tag = require('./Tag');
+const slugHistory = require('./plugins/slugHistory');
+
+// Roles a contributor can be credited with
+const CONTRIBUTOR_ROLES = ['author', 'editor', 'photographer', 'illustrator', 'translator', 'reviewer'];
 
 const postSchema = new mongoose.Schema({
   title: {
@@ -14,6 +20,16 @@ const postSchema = new mongoose.Schema({
     lowercase: true,
     index: true
   },
+  // Custom slug pinned by an editor (not regenerated from the title)
+  slugLocked: {
+    type: Boolean,
+    default: false
+  },
+  // Slugs the post was previously reachable at (for redirects)
+  previousSlugs: [{
+    type: String,
+    lowercase: true
+  }],
   content: {
     type: String,
     required: [true, 'Post content is required']
@@ -51,9 +67,35 @@ const postSchema = new mongoose.Schema({
     ref: 'User',
     required: [true, 'Post author is required']
   },
+  // Ordered credits: registered users or guest profiles, each with a role.
+  // Defaults to the author when left empty.
+  contributors: {
+    type: [{
+      _id: false,
+      user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        default: null
+      },
+      guest: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'GuestAuthor',
+        default: null
+      },
+      role: {
+        type: String,
+        enum: CONTRIBUTOR_ROLES,
+        default: 'author'
+      }
+    }],
+    validate: {
+      validator: (entries) => entries.every(entry => !entry.user !== !entry.guest),
+      message: 'Each contributor must be either a user or a guest profile'
+    }
+  },
   status: {
     type: String,
-    enum: ['draft', 'published', 'archived'],
+    enum: STATUSES,
     default: 'draft'
   },
   publishedAt: {
@@ -72,6 +114,31 @@ const postSchema = new mongoose.Schema({
     type: Number,
     default: 0
   },
+  // Per-type reaction counts (likes moves with reactions.like so
+  // popularity sorting keeps working)
+  reactions: {
+    like: {
+      type: Number,
+      default: 0
+    },
+    insightful: {
+      type: Number,
+      default: 0
+    },
+    funny: {
+      type: Number,
+      default: 0
+    }
+  },
+  // Time-decayed activity score (refreshed by the trending job)
+  trendingScore: {
+    type: Number,
+    default: 0
+  },
+  trendingUpdatedAt: {
+    type: Date,
+    default: null
+  },
   readingTime: {
     type: Number, // in minutes
     default: 0
@@ -105,11 +172,35 @@ const postSchema = new mongoose.Schema({
     enum: ['markdown', 'html', 'richtext'],
     default: 'markdown'
   },
-  // Related posts
+  // Sanitized HTML rendered from content on save
+  renderedHtml: {
+    type: String,
+    select: false
+  },
+  // Table of contents built from content headings on save
+  toc: {
+    type: [{
+      _id: false,
+      level: Number,
+      text: String,
+      anchor: String
+    }],
+    select: false
+  },
+  // Related posts (computed, see utils/related)
   relatedPosts: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Post'
   }],
+  // Editor overrides: pinned posts always lead, excluded never appear
+  relatedPinned: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
+  relatedExcluded: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }],
   // Comments (basic structure)
   commentsEnabled: {
     type: Boolean,
@@ -175,6 +266,11 @@ const postSchema = new mongoose.Schema({
     avgTimeOnPage: {
       type: Number,
       default: 0
+    },
+    // Number of samples behind avgTimeOnPage (for the running average)
+    timeOnPageSamples: {
+      type: Number,
+      default: 0
     }
   }
 }, {
@@ -183,12 +279,23 @@ const postSchema = new mongoose.Schema({
 
 // Indexes for better performance
 postSchema.index({ slug: 1 });
+postSchema.index({ previousSlugs: 1 });
 postSchema.index({ status: 1, publishedAt: -1 });
 postSchema.index({ category: 1, status: 1 });
 postSchema.index({ tags: 1 });
 postSchema.index({ author: 1 });
+postSchema.index({ 'contributors.user': 1 });
+postSchema.index({ 'contributors.guest': 1 });
 postSchema.index({ createdAt: -1 });
 postSchema.index({ views: -1 });
+postSchema.index({ status: 1, trendingScore: -1 });
+postSchema.index(
+  { title: 'text', tags: 'text', excerpt: 'text', content: 'text' },
+  {
+    name: 'post_text_search',
+    weights: { title: 10, tags: 5, excerpt: 3, content: 1 }
+  }
+);
 
 // Virtual for URL
 postSchema.virtual('url').get(function() {
@@ -214,25 +321,39 @@ postSchema.virtual('estimatedReadingTime').get(function() {
   return Math.ceil(wordCount / wordsPerMinute);
 });
 
-// Pre-save middleware to generate slug
+// Slug from title, unless pinned by an editor; old slugs kept for redirects
+postSchema.plugin(slugHistory, { source: 'title', lockedBy: 'slugLocked' });
+
+// Pre-save middleware to fold tag synonyms into their registered tag
+postSchema.pre('save', async function() {
+  if (this.isNew || this.isModified('tags')) {
+    this.tags = await Tag.canonicalize(this.tags);
+  }
+});
+
+// Pre-save middleware to derive content fields
 postSchema.pre('save', function(next) {
-  if (this.isModified('title') || this.isNew) {
-    this.slug = slugify(this.title, {
-      lower: true,
-      strict: true,
-      remove: /[*+~.()'"!:@]/g
-    });
-    
-    // Add timestamp to ensure uniqueness if needed
-    if (this.isNew) {
-      const timestamp = Date.now().toString().slice(-4);
-      this.slug = `${this.slug}-${timestamp}`;
-    }
+  // Build the table of contents and render content to sanitized HTML.
+  // Anchors are carried over from the previous toc by heading text so
+  // links to unchanged headings keep working across edits.
+  if (this.isNew || this.isModified('content') || this.isModified('contentType')) {
+    const previousToc = (this.toc || []).map(entry => ({ text: entry.text, anchor: entry.anchor }));
+    this.toc = buildToc(extractHeadings(this.content, this.contentType), previousToc);
+    this.renderedHtml = renderContent(
+      this.content,
+      this.contentType,
+      this.toc.map(entry => entry.anchor)
+    );
   }
-  
+
+  // Credit the author when no contributors were given
+  if (this.contributors.length === 0) {
+    this.contributors = [{ user: this.author, role: 'author' }];
+  }
+
   // Auto-generate excerpt if not provided
   if (this.isModified('content') && !this.excerpt) {
-    const plainText = this.content.replace(/<[^>]*>/g, ''); // Remove HTML tags
+    const plainText = toPlainText(this.renderedHtml);
     this.excerpt = plainText.substring(0, 200) + (plainText.length > 200 ? '...' : '');
   }
   
@@ -247,6 +368,11 @@ postSchema.pre('save', function(next) {
   if (this.isModified('status') && this.status === 'published' && !this.publishedAt) {
     this.publishedAt = new Date();
   }
+
+  // A publish time only means something while the post is scheduled
+  if (this.isModified('status') && this.status !== 'scheduled') {
+    this.scheduledFor = null;
+  }
   
   // Auto-generate SEO meta data if not provided
   if (!this.seo.metaTitle) {
@@ -273,37 +399,132 @@ postSchema.statics.findPublished = function(options = {}) {
   }
   
   if (options.author) {
-    query.author = options.author;
+    Object.assign(query, this.creditedTo(options.author));
+  }
+
+  if (options.guest) {
+    query['contributors.guest'] = options.guest;
   }
   
   return this.find(query)
     .populate('author', 'firstName lastName username avatar')
+    .populate('contributors.user', 'firstName lastName username avatar bio')
+    .populate('contributors.guest', 'name slug avatar bio links')
     .populate('category', 'name slug')
     .sort({ publishedAt: -1 });
 };
 
-// Static method to find trending posts
+// Static method to build a filter for posts crediting a user (posts saved
+// before contributors existed only credit their author)
+postSchema.statics.creditedTo = function(userId) {
+  return {
+    $or: [
+      { 'contributors.user': userId },
+      { author: userId, 'contributors.0': { $exists: false } }
+    ]
+  };
+};
+
+// Static method to get published post counts and total views per credited
+// user, optionally limited to some users. Each post counts once per user.
+postSchema.statics.findAuthorStats = function(userIds = null) {
+  const pipeline = [
+    { $match: { status: 'published' } },
+    {
+      $project: {
+        views: 1,
+        publishedAt: 1,
+        users: {
+          $cond: [
+            { $gt: [{ $size: { $ifNull: ['$contributors', []] } }, 0] },
+            { $setUnion: ['$contributors.user', []] },
+            ['$author']
+          ]
+        }
+      }
+    },
+    { $unwind: '$users' },
+    { $match: { users: userIds ? { $in: userIds } : { $ne: null } } },
+    {
+      $group: {
+        _id: '$users',
+        postCount: { $sum: 1 },
+        totalViews: { $sum: '$views' },
+        lastPublishedAt: { $max: '$publishedAt' }
+      }
+    }
+  ];
+
+  return this.aggregate(pipeline);
+};
+
+// Static method to get tag usage counts across published posts
+postSchema.statics.findTagCounts = async function(limit = 50) {
+  const tags = await this.aggregate([
+    { $match: { status: 'published' } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1 } },
+    { $limit: limit }
+  ]);
+
+  return tags.map(tag => ({ name: tag._id, count: tag.count }));
+};
+
+// Static method to find trending posts (by decayed activity score)
 postSchema.statics.findTrending = function(limit = 5) {
-  const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-  
-  return this.find({
-    status: 'published',
-    publishedAt: { $gte: oneWeekAgo }
-  })
+  return this.find({ status: 'published' })
   .populate('author', 'firstName lastName username avatar')
+  .populate('contributors.user', 'firstName lastName username avatar bio')
+  .populate('contributors.guest', 'name slug avatar bio links')
   .populate('category', 'name slug')
-  .sort({ views: -1, likes: -1 })
+  .sort({ trendingScore: -1, publishedAt: -1 })
   .limit(limit);
 };
 
-// Instance method to increment views
-postSchema.methods.incrementViews = function() {
-  return this.updateOne({ $inc: { views: 1 } });
+// Static method to fold a batch of analytics counters into a post.
+// The running average of time on page is updated in the same atomic
+// pipeline update, weighting the stored average by its sample count.
+// updatedAt is left alone since counters aren't edits.
+postSchema.statics.applyAnalytics = function(postId, { impressions = 0, clicks = 0, shares = 0, timeOnPageTotal = 0, timeOnPageSamples = 0 }) {
+  const samples = { $ifNull: ['$analytics.timeOnPageSamples', 0] };
+  const average = { $ifNull: ['$analytics.avgTimeOnPage', 0] };
+  const newSamples = { $add: [samples, timeOnPageSamples] };
+
+  return this.updateOne({ _id: postId }, [
+    {
+      $set: {
+        'analytics.impressions': { $add: [{ $ifNull: ['$analytics.impressions', 0] }, impressions] },
+        'analytics.clicks': { $add: [{ $ifNull: ['$analytics.clicks', 0] }, clicks] },
+        'analytics.shares': { $add: [{ $ifNull: ['$analytics.shares', 0] }, shares] },
+        'analytics.timeOnPageSamples': newSamples,
+        'analytics.avgTimeOnPage': {
+          $cond: [
+            { $gt: [newSamples, 0] },
+            {
+              $divide: [
+                { $add: [{ $multiply: [average, samples] }, timeOnPageTotal] },
+                newSamples
+              ]
+            },
+            0
+          ]
+        }
+      }
+    }
+  ], { timestamps: false });
 };
 
-// Instance method to increment likes
-postSchema.methods.incrementLikes = function() {
-  return this.updateOne({ $inc: { likes: 1 } });
+// Static method to adjust a reaction count and return the updated counts.
+// Reactions aren't edits, so updatedAt is left alone.
+postSchema.statics.adjustReaction = function(postId, type, delta) {
+  const update = { $inc: { [`reactions.${type}`]: delta } };
+  if (type === 'like') {
+    update.$inc.likes = delta;
+  }
+
+  return this.findByIdAndUpdate(postId, update, { new: true, timestamps: false })
+    .select('likes reactions');
 };
 
 // Ensure virtual fields are serialized
@@ -311,5 +532,7 @@ postSchema.set('toJSON', {
   virtuals: true
 });
 
+postSchema.statics.CONTRIBUTOR_ROLES = CONTRIBUTOR_ROLES;
+
 module.exports = mongoose.model('Post', postSchema);
 
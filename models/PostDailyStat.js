@@ -0,0 +1,90 @@
+const mongoose = require('mongoose');
+
+// Per-post, per-day counters (dates are UTC midnights)
+const postDailyStatSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  date: {
+    type: Date,
+    required: true
+  },
+  views: {
+    type: Number,
+    default: 0
+  },
+  impressions: {
+    type: Number,
+    default: 0
+  },
+  clicks: {
+    type: Number,
+    default: 0
+  },
+  shares: {
+    type: Number,
+    default: 0
+  },
+  // Sum and count of time-on-page samples (seconds) so averages can be
+  // computed over any range
+  timeOnPageTotal: {
+    type: Number,
+    default: 0
+  },
+  timeOnPageSamples: {
+    type: Number,
+    default: 0
+  }
+});
+
+// Indexes
+postDailyStatSchema.index({ post: 1, date: 1 }, { unique: true });
+postDailyStatSchema.index({ date: 1 });
+
+// Truncate a date to its UTC day
+const startOfDay = (date = new Date()) => {
+  const day = new Date(date);
+  day.setUTCHours(0, 0, 0, 0);
+  return day;
+};
+
+// Static method to add to today's counters for a post
+postDailyStatSchema.statics.increment = function(postId, counters, date = new Date()) {
+  return this.updateOne(
+    { post: postId, date: startOfDay(date) },
+    { $inc: counters },
+    { upsert: true }
+  );
+};
+
+// Static method to get a day-by-day series between two dates (inclusive),
+// with zero-filled days where nothing was recorded
+postDailyStatSchema.statics.series = async function(postId, from, to, fields = ['views']) {
+  const start = startOfDay(from);
+  const end = startOfDay(to);
+
+  const stats = await this.find({
+    post: postId,
+    date: { $gte: start, $lte: end }
+  }).sort({ date: 1 });
+
+  const byDay = new Map(stats.map(stat => [stat.date.toISOString(), stat]));
+  const series = [];
+
+  for (let day = new Date(start); day <= end; day.setUTCDate(day.getUTCDate() + 1)) {
+    const stat = byDay.get(day.toISOString());
+    const point = { date: day.toISOString().slice(0, 10) };
+    fields.forEach(field => {
+      point[field] = stat ? stat[field] || 0 : 0;
+    });
+    series.push(point);
+  }
+
+  return series;
+};
+
+postDailyStatSchema.statics.startOfDay = startOfDay;
+
+module.exports = mongoose.model('PostDailyStat', postDailyStatSchema);
@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+
+// Post fields captured in each revision (mirrors the fields editable
+// through PUT /api/posts/:id)
+const TRACKED_FIELDS = [
+  'title', 'content', 'excerpt', 'category', 'tags', 'status',
+  'featuredImage', 'seo', 'contentType', 'scheduledFor',
+  'affiliateLinks', 'adSenseEnabled', 'commentsEnabled', 'contributors'
+];
+
+const postRevisionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  // User whose update replaced this version
+  editedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  changedFields: [{
+    type: String
+  }],
+  // The post as it was before the update
+  snapshot: {
+    type: mongoose.Schema.Types.Mixed,
+    required: true
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+postRevisionSchema.index({ post: 1, createdAt: -1 });
+
+// Static method to build a snapshot of the tracked fields of a post
+postRevisionSchema.statics.snapshotOf = function(post) {
+  const source = typeof post.toObject === 'function'
+    ? post.toObject({ depopulate: true })
+    : post;
+
+  return TRACKED_FIELDS.reduce((snapshot, field) => {
+    snapshot[field] = source[field] === undefined ? null : source[field];
+    return snapshot;
+  }, {});
+};
+
+// Static method to record a revision and apply the retention policy
+postRevisionSchema.statics.record = async function(postId, snapshot, changedFields, userId) {
+  const revision = await this.create({
+    post: postId,
+    editedBy: userId || null,
+    changedFields,
+    snapshot
+  });
+
+  await this.prune(postId);
+  return revision;
+};
+
+// Static method to delete revisions outside the retention window.
+// POST_REVISIONS_KEEP_LAST keeps the newest N revisions per post and
+// POST_REVISIONS_KEEP_DAYS drops anything older than N days (0 disables).
+postRevisionSchema.statics.prune = async function(postId) {
+  const keepLast = parseInt(process.env.POST_REVISIONS_KEEP_LAST) || 50;
+  const keepDays = parseInt(process.env.POST_REVISIONS_KEEP_DAYS) || 0;
+
+  const stale = await this.find({ post: postId })
+    .sort({ createdAt: -1 })
+    .skip(keepLast)
+    .select('_id');
+
+  const conditions = [];
+  if (stale.length > 0) {
+    conditions.push({ _id: { $in: stale.map(revision => revision._id) } });
+  }
+  if (keepDays > 0) {
+    const cutoff = new Date(Date.now() - keepDays * 24 * 60 * 60 * 1000);
+    conditions.push({ createdAt: { $lt: cutoff } });
+  }
+
+  if (conditions.length === 0) return;
+
+  await this.deleteMany({ post: postId, $or: conditions });
+};
+
+postRevisionSchema.statics.TRACKED_FIELDS = TRACKED_FIELDS;
+
+module.exports = mongoose.model('PostRevision', postRevisionSchema);
@@ -0,0 +1,50 @@
+const mongoose = require('mongoose');
+const { STATUSES } = require('../utils/workflow');
+
+const postTransitionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  from: {
+    type: String,
+    enum: STATUSES,
+    required: true
+  },
+  to: {
+    type: String,
+    enum: STATUSES,
+    required: true
+  },
+  // null when the transition was made by the system (e.g. the scheduler)
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  comment: {
+    type: String,
+    trim: true,
+    maxlength: [1000, 'Comment cannot exceed 1000 characters'],
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// Indexes
+postTransitionSchema.index({ post: 1, createdAt: -1 });
+
+// Static method to record a status change
+postTransitionSchema.statics.record = function(postId, from, to, userId, comment) {
+  return this.create({
+    post: postId,
+    from,
+    to,
+    user: userId || null,
+    comment: comment || ''
+  });
+};
+
+module.exports = mongoose.model('PostTransition', postTransitionSchema);
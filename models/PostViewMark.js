@@ -0,0 +1,46 @@
+const mongoose = require('mongoose');
+
+// Marks that a visitor's view of a post has been counted.
+// While a mark is unexpired further views by the same visitor are ignored.
+const postViewMarkSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  actor: {
+    type: String,
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  }
+});
+
+// Indexes
+postViewMarkSchema.index({ post: 1, actor: 1 }, { unique: true });
+postViewMarkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Static method to claim a view for this visitor.
+// Returns true if the view should be counted, false if it was already
+// counted within the window. Safe under concurrent requests: the upsert
+// only matches an expired mark, so a live mark makes the insert collide
+// with the unique index.
+postViewMarkSchema.statics.claim = async function(postId, actor, windowMs) {
+  const now = new Date();
+
+  try {
+    await this.findOneAndUpdate(
+      { post: postId, actor, expiresAt: { $lte: now } },
+      { $set: { expiresAt: new Date(now.getTime() + windowMs) } },
+      { upsert: true }
+    );
+    return true;
+  } catch (error) {
+    if (error.code === 11000) return false;
+    throw error;
+  }
+};
+
+module.exports = mongoose.model('PostViewMark', postViewMarkSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+
+const previewLinkSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  },
+  revokedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  lastUsedAt: {
+    type: Date,
+    default: null
+  },
+  useCount: {
+    type: Number,
+    default: 0
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+previewLinkSchema.index({ post: 1, createdAt: -1 });
+// Expired links are removed by MongoDB a day after they stop working
+previewLinkSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+// Virtual for whether the link can still be used
+previewLinkSchema.virtual('isActive').get(function() {
+  return !this.revokedAt && this.expiresAt > Date.now();
+});
+
+// Static method to find links that are neither revoked nor expired
+previewLinkSchema.statics.findOutstanding = function(filter = {}) {
+  return this.find({
+    ...filter,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() }
+  })
+  .populate('post', 'title slug status')
+  .populate('createdBy', 'firstName lastName username')
+  .sort({ createdAt: -1 });
+};
+
+// Ensure virtual fields are serialized
+previewLinkSchema.set('toJSON', {
+  virtuals: true
+});
+
+module.exports = mongoose.model('PreviewLink', previewLinkSchema);
@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+const REACTION_TYPES = ['like', 'insightful', 'funny'];
+
+const reactionSchema = new mongoose.Schema({
+  post: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: REACTION_TYPES,
+    required: true
+  },
+  // "user:<id>" for signed-in users, "visitor:<hash>" for anonymous visitors
+  actor: {
+    type: String,
+    required: true
+  },
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+// One reaction of each type per actor per post
+reactionSchema.index({ post: 1, actor: 1, type: 1 }, { unique: true });
+
+// Static method to toggle a reaction.
+// Returns true when the reaction was added and false when it was removed.
+reactionSchema.statics.toggle = async function(postId, type, actor, userId) {
+  const removed = await this.deleteOne({ post: postId, type, actor });
+  if (removed.deletedCount > 0) {
+    return false;
+  }
+
+  try {
+    await this.create({ post: postId, type, actor, user: userId || null });
+  } catch (error) {
+    // A concurrent request already added it
+    if (error.code !== 11000) throw error;
+    return null;
+  }
+
+  return true;
+};
+
+reactionSchema.statics.TYPES = REACTION_TYPES;
+
+module.exports = mongoose.model('Reaction', reactionSchema);
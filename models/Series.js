@@ -0,0 +1,81 @@
+const mongoose = require('mongoose');
+const slugHistory = require('./plugins/slugHistory');
+
+const seriesSchema = new mongoose.Schema({
+  title: {
+    type: String,
+    required: [true, 'Series title is required'],
+    trim: true,
+    maxlength: [200, 'Title cannot exceed 200 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true
+  },
+  // Slugs the series was previously reachable at (for redirects)
+  previousSlugs: [{
+    type: String,
+    lowercase: true
+  }],
+  description: {
+    type: String,
+    maxlength: [1000, 'Description cannot exceed 1000 characters'],
+    default: ''
+  },
+  // Parts of the series, in reading order
+  posts: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Post'
+  }]
+}, {
+  timestamps: true
+});
+
+// Indexes
+seriesSchema.index({ previousSlugs: 1 });
+seriesSchema.index({ posts: 1 });
+
+// Virtual for URL
+seriesSchema.virtual('url').get(function() {
+  return `/series/${this.slug}`;
+});
+
+// Slug from title; old slugs kept for redirects
+seriesSchema.plugin(slugHistory, { source: 'title' });
+
+// Static method to build series navigation for a post.
+// Only published parts count, so drafts in the middle of a series don't
+// leave gaps in "Part n of m" or dead prev/next links.
+seriesSchema.statics.navigationFor = async function(postId) {
+  const series = await this.findOne({ posts: postId })
+    .populate({
+      path: 'posts',
+      select: 'title slug status',
+      match: { status: 'published' }
+    });
+
+  if (!series) return null;
+
+  const index = series.posts.findIndex(post => post._id.toString() === postId.toString());
+  if (index === -1) return null;
+
+  const link = (post) => post ? { title: post.title, slug: post.slug } : null;
+
+  return {
+    _id: series._id,
+    title: series.title,
+    slug: series.slug,
+    position: index + 1,
+    total: series.posts.length,
+    prev: link(series.posts[index - 1]),
+    next: link(series.posts[index + 1])
+  };
+};
+
+// Ensure virtual fields are serialized
+seriesSchema.set('toJSON', {
+  virtuals: true
+});
+
+module.exports = mongoose.model('Series', seriesSchema);
@@ -0,0 +1,136 @@
+const mongoose = require('mongoose');
+const slugHistory = require('./plugins/slugHistory');
+
+// Registry entry for a tag used in Post.tags. Posts store the tag name;
+// synonyms are folded into the name when posts are saved or tags searched.
+const tagSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Tag name is required'],
+    unique: true,
+    trim: true,
+    lowercase: true,
+    maxlength: [50, 'Tag name cannot exceed 50 characters']
+  },
+  slug: {
+    type: String,
+    unique: true,
+    lowercase: true
+  },
+  // Slugs the tag was previously reachable at (for redirects)
+  previousSlugs: [{
+    type: String,
+    lowercase: true
+  }],
+  description: {
+    type: String,
+    maxlength: [500, 'Description cannot exceed 500 characters'],
+    default: ''
+  },
+  // Alternative spellings that resolve to this tag (e.g. "js" for "javascript")
+  synonyms: [{
+    type: String,
+    trim: true,
+    lowercase: true
+  }],
+  // SEO Meta Data
+  seo: {
+    metaTitle: {
+      type: String,
+      maxlength: [60, 'Meta title cannot exceed 60 characters']
+    },
+    metaDescription: {
+      type: String,
+      maxlength: [160, 'Meta description cannot exceed 160 characters']
+    }
+  }
+}, {
+  timestamps: true
+});
+
+// Indexes
+tagSchema.index({ synonyms: 1 });
+tagSchema.index({ previousSlugs: 1 });
+
+// Virtual for URL
+tagSchema.virtual('url').get(function() {
+  return `/tag/${this.slug}`;
+});
+
+// Slug from name; old slugs kept for redirects
+tagSchema.plugin(slugHistory, { source: 'name', fallback: 'tag' });
+
+// Pre-save middleware to normalize synonyms and generate SEO fields
+tagSchema.pre('save', function() {
+  // A tag is never its own synonym
+  this.synonyms = [...new Set(this.synonyms)].filter(synonym => synonym !== this.name);
+
+  if (!this.seo.metaTitle) {
+    this.seo.metaTitle = `#${this.name}`.substring(0, 60);
+  }
+
+  if (!this.seo.metaDescription && this.description) {
+    this.seo.metaDescription = this.description.substring(0, 160);
+  }
+});
+
+// Static method to normalize tag names: lowercase, synonyms replaced by
+// their tag's name, duplicates removed (first occurrence wins)
+tagSchema.statics.canonicalize = async function(names = []) {
+  const normalized = names
+    .map(name => String(name).trim().toLowerCase())
+    .filter(Boolean);
+
+  if (normalized.length === 0) return [];
+
+  const tags = await this.find({ synonyms: { $in: normalized } }).select('name synonyms');
+  const canonical = new Map();
+  tags.forEach(tag => {
+    tag.synonyms.forEach(synonym => canonical.set(synonym, tag.name));
+  });
+
+  return [...new Set(normalized.map(name => canonical.get(name) || name))];
+};
+
+// Static method to replace `sources` with `target` in every post's tags.
+// A single pipeline update rewrites each post atomically on the server,
+// keeping tag order and dropping the duplicates a merge can create.
+tagSchema.statics.rewritePostTags = async function(sources, target) {
+  const Post = mongoose.model('Post');
+  const names = sources.filter(source => source !== target);
+  if (names.length === 0) return 0;
+
+  const result = await Post.updateMany({ tags: { $in: names } }, [
+    {
+      $set: {
+        tags: {
+          $reduce: {
+            input: {
+              $map: {
+                input: '$tags',
+                in: { $cond: [{ $in: ['$$this', names] }, target, '$$this'] }
+              }
+            },
+            initialValue: [],
+            in: {
+              $cond: [
+                { $in: ['$$this', '$$value'] },
+                '$$value',
+                { $concatArrays: ['$$value', ['$$this']] }
+              ]
+            }
+          }
+        }
+      }
+    }
+  ]);
+
+  return result.modifiedCount;
+};
+
+// Ensure virtual fields are serialized
+tagSchema.set('toJSON', {
+  virtuals: true
+});
+
+module.exports = mongoose.model('Tag', tagSchema);
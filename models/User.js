@@ -48,6 +48,34 @@ const userSchema = new mongoose.Schema({
     type: String,
     maxlength: [500, 'Bio cannot exceed 500 characters']
   },
+  // Public profile links (full URLs)
+  social: {
+    website: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    twitter: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    github: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    linkedin: {
+      type: String,
+      trim: true,
+      default: ''
+    },
+    mastodon: {
+      type: String,
+      trim: true,
+      default: ''
+    }
+  },
   isActive: {
     type: Boolean,
     default: true
@@ -130,6 +158,21 @@ userSchema.methods.resetLoginAttempts = function() {
   });
 };
 
+// Instance method to get the fields shown on public author pages
+userSchema.methods.toPublicProfile = function() {
+  return {
+    _id: this._id,
+    username: this.username,
+    firstName: this.firstName,
+    lastName: this.lastName,
+    fullName: this.fullName,
+    avatar: this.avatar,
+    bio: this.bio || '',
+    social: this.social,
+    memberSince: this.createdAt
+  };
+};
+
 // Static method to find user by email or username
 userSchema.statics.findByEmailOrUsername = function(identifier) {
   return this.findOne({
@@ -0,0 +1,68 @@
+const slugify = require('slugify');
+
+// Mongoose plugin that derives `slug` from a source field on save.
+//
+// Options:
+//   source   - path the slug is generated from (e.g. 'title', 'name')
+//   unique   - add a timestamp suffix when the base slug is already taken
+//   history  - record replaced slugs in `previousSlugs` (for redirects)
+//   lockedBy - boolean path that pins a custom slug; while set the slug is
+//              not regenerated, and clearing it regenerates the slug
+//   fallback - slug to use when the source has no sluggable characters
+module.exports = function slugHistory(schema, options) {
+  const {
+    source,
+    unique = true,
+    history = true,
+    lockedBy = null,
+    fallback = ''
+  } = options;
+
+  // Static method to turn text into a URL slug
+  schema.statics.toSlug = function(text) {
+    return slugify(String(text), {
+      lower: true,
+      strict: true,
+      remove: /[*+~.()'"!:@]/g
+    }) || fallback;
+  };
+
+  if (history) {
+    // Remember the stored slug so a change can be recorded in previousSlugs
+    schema.post('init', function() {
+      this.$locals.originalSlug = this.slug;
+    });
+
+    schema.post('save', function() {
+      this.$locals.originalSlug = this.slug;
+    });
+  }
+
+  // Pre-save middleware to generate slug
+  schema.pre('save', async function() {
+    const locked = lockedBy && this.get(lockedBy);
+    const changed = this.isNew || this.isModified(source) || (lockedBy && this.isModified(lockedBy));
+
+    if (!locked && changed) {
+      const baseSlug = this.constructor.toSlug(this.get(source));
+
+      // Add timestamp only when the base slug is already taken
+      const taken = unique && await this.constructor.exists({
+        slug: baseSlug,
+        _id: { $ne: this._id }
+      });
+      this.slug = taken
+        ? `${baseSlug}-${Date.now().toString().slice(-4)}`
+        : baseSlug;
+    }
+
+    // Keep the old slug reachable; drop the new one from history if reused
+    const originalSlug = this.$locals.originalSlug;
+    if (history && !this.isNew && originalSlug && originalSlug !== this.slug) {
+      this.previousSlugs = [
+        ...this.previousSlugs.filter(slug => slug !== this.slug && slug !== originalSlug),
+        originalSlug
+      ];
+    }
+  });
+};
@@ -0,0 +1,156 @@
+const express = require('express');
+const fs = require('fs');
+const path = require('path');
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const Comment = require('../models/Comment');
+const User = require('../models/User');
+const Reaction = require('../models/Reaction');
+const PostDailyStat = require('../models/PostDailyStat');
+const { auth, adminAuth } = require('../middleware/auth');
+const { STATUSES } = require('../utils/workflow');
+
+const router = express.Router();
+
+const uploadsDir = path.join(__dirname, '../uploads');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Short-lived in-memory cache for the dashboard summary
+let dashboardCache = { data: null, expiresAt: 0 };
+
+// Total size in bytes of all files below `dir`
+const directorySize = async (dir) => {
+  let entries;
+  try {
+    entries = await fs.promises.readdir(dir, { withFileTypes: true });
+  } catch (error) {
+    if (error.code === 'ENOENT') return { bytes: 0, files: 0 };
+    throw error;
+  }
+
+  const sizes = await Promise.all(entries.map(async entry => {
+    const entryPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) {
+      return directorySize(entryPath);
+    }
+    if (entry.isFile()) {
+      const stats = await fs.promises.stat(entryPath);
+      return { bytes: stats.size, files: 1 };
+    }
+    return { bytes: 0, files: 0 };
+  }));
+
+  return sizes.reduce((total, size) => ({
+    bytes: total.bytes + size.bytes,
+    files: total.files + size.files
+  }), { bytes: 0, files: 0 });
+};
+
+// Sum of daily views and count of likes since `since`
+const activitySince = async (since) => {
+  const [views, likes] = await Promise.all([
+    PostDailyStat.aggregate([
+      { $match: { date: { $gte: PostDailyStat.startOfDay(since) } } },
+      { $group: { _id: null, views: { $sum: '$views' } } }
+    ]),
+    Reaction.countDocuments({ type: 'like', createdAt: { $gte: since } })
+  ]);
+
+  return {
+    views: views.length > 0 ? views[0].views : 0,
+    likes
+  };
+};
+
+const buildDashboard = async () => {
+  const now = new Date();
+  const weekAhead = new Date(now.getTime() + 7 * DAY_MS);
+
+  const [
+    statusCounts,
+    scheduledThisWeek,
+    pendingComments,
+    last7Days,
+    last30Days,
+    topCategories,
+    recentLogins,
+    storage
+  ] = await Promise.all([
+    Post.aggregate([
+      { $group: { _id: '$status', count: { $sum: 1 } } }
+    ]),
+    Post.find({
+      status: 'scheduled',
+      scheduledFor: { $gte: now, $lte: weekAhead }
+    })
+    .select('title slug scheduledFor author')
+    .populate('author', 'firstName lastName username')
+    .sort({ scheduledFor: 1 }),
+    Comment.countDocuments(Comment.statusFilter('pending')),
+    activitySince(new Date(now.getTime() - 7 * DAY_MS)),
+    activitySince(new Date(now.getTime() - 30 * DAY_MS)),
+    Category.find({ isActive: true })
+      .select('name slug color postCount totalViews')
+      .sort({ totalViews: -1 })
+      .limit(5),
+    User.find({ lastLogin: { $ne: null } })
+      .select('username firstName lastName avatar role lastLogin')
+      .sort({ lastLogin: -1 })
+      .limit(5),
+    directorySize(uploadsDir)
+  ]);
+
+  // Report every status, including those with no posts
+  const posts = STATUSES.reduce((counts, status) => {
+    counts[status] = 0;
+    return counts;
+  }, {});
+  statusCounts.forEach(entry => {
+    posts[entry._id] = entry.count;
+  });
+  posts.total = statusCounts.reduce((sum, entry) => sum + entry.count, 0);
+
+  return {
+    posts,
+    scheduledThisWeek,
+    pendingComments,
+    activity: {
+      last7Days,
+      last30Days
+    },
+    topCategories,
+    recentLogins,
+    storage,
+    generatedAt: now
+  };
+};
+
+// @route   GET /api/admin/dashboard
+// @desc    Admin overview (cached for DASHBOARD_CACHE_SECONDS, default 60;
+//          ?refresh=true bypasses the cache)
+// @access  Private (Admin)
+router.get('/dashboard', auth, adminAuth, async (req, res) => {
+  try {
+    const ttlMs = (parseInt(process.env.DASHBOARD_CACHE_SECONDS) || 60) * 1000;
+
+    if (req.query.refresh === 'true' || !dashboardCache.data || dashboardCache.expiresAt <= Date.now()) {
+      dashboardCache = {
+        data: await buildDashboard(),
+        expiresAt: Date.now() + ttlMs
+      };
+    }
+
+    res.json({
+      success: true,
+      data: dashboardCache.data
+    });
+  } catch (error) {
+    console.error('Get admin dashboard error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building dashboard'
+    });
+  }
+});
+
+module.exports = router;
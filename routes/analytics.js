@@ -0,0 +1,290 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const rateLimit = require('express-rate-limit');
+const { query, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const PostDailyStat = require('../models/PostDailyStat');
+const { auth, adminAuth } = require('../middleware/auth');
+const { isAutomatedRequest } = require('../utils/visitor');
+
+const router = express.Router();
+
+const EVENT_TYPES = ['impression', 'click', 'share', 'time_on_page'];
+const MAX_EVENTS_PER_BATCH = 50;
+const MAX_TIME_ON_PAGE = 60 * 60; // seconds
+
+// Beacons fire on every page, so they get their own (more generous) limiter
+const eventsLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: parseInt(process.env.ANALYTICS_RATE_LIMIT) || 60,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: 'Too many analytics events, slow down.' }
+});
+
+// navigator.sendBeacon() posts strings as text/plain, so accept both
+const parseBeaconBody = [
+  express.text({ type: 'text/plain', limit: '64kb' }),
+  (req, res, next) => {
+    if (typeof req.body === 'string') {
+      try {
+        req.body = JSON.parse(req.body);
+      } catch (error) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid JSON payload'
+        });
+      }
+    }
+    next();
+  }
+];
+
+// @route   POST /api/analytics/events
+// @desc    Ingest a batch of frontend analytics events
+//          { events: [{ type, postId, value? }] } where type is one of
+//          impression, click, share or time_on_page (value in seconds)
+// @access  Public (rate limited)
+router.post('/events', eventsLimiter, parseBeaconBody, async (req, res) => {
+  try {
+    const events = req.body && req.body.events;
+
+    if (!Array.isArray(events) || events.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'events must be a non-empty array'
+      });
+    }
+
+    if (events.length > MAX_EVENTS_PER_BATCH) {
+      return res.status(400).json({
+        success: false,
+        message: `A batch cannot contain more than ${MAX_EVENTS_PER_BATCH} events`
+      });
+    }
+
+    // Bots get a success response but nothing is recorded
+    if (isAutomatedRequest(req)) {
+      return res.status(202).json({ success: true, data: { accepted: 0 } });
+    }
+
+    // Sum the batch per post, dropping malformed events
+    const totals = new Map();
+    events.forEach(event => {
+      if (!event || !EVENT_TYPES.includes(event.type) || !mongoose.isValidObjectId(event.postId)) {
+        return;
+      }
+
+      const key = String(event.postId);
+      if (!totals.has(key)) {
+        totals.set(key, {
+          impressions: 0,
+          clicks: 0,
+          shares: 0,
+          timeOnPageTotal: 0,
+          timeOnPageSamples: 0
+        });
+      }
+      const total = totals.get(key);
+
+      switch (event.type) {
+        case 'impression':
+          total.impressions++;
+          break;
+        case 'click':
+          total.clicks++;
+          break;
+        case 'share':
+          total.shares++;
+          break;
+        case 'time_on_page': {
+          const seconds = Number(event.value);
+          if (Number.isFinite(seconds) && seconds > 0) {
+            total.timeOnPageTotal += Math.min(seconds, MAX_TIME_ON_PAGE);
+            total.timeOnPageSamples++;
+          }
+          break;
+        }
+      }
+    });
+
+    // Only published posts collect analytics
+    const posts = await Post.find({
+      _id: { $in: Array.from(totals.keys()) },
+      status: 'published'
+    }).select('_id');
+
+    let accepted = 0;
+    await Promise.all(posts.map(post => {
+      const total = totals.get(post._id.toString());
+      accepted += total.impressions + total.clicks + total.shares + total.timeOnPageSamples;
+
+      const daily = Object.fromEntries(
+        Object.entries(total).filter(([, value]) => value > 0)
+      );
+
+      return Promise.all([
+        Post.applyAnalytics(post._id, total),
+        Object.keys(daily).length > 0 ? PostDailyStat.increment(post._id, daily) : null
+      ]);
+    }));
+
+    res.status(202).json({
+      success: true,
+      data: { accepted }
+    });
+  } catch (error) {
+    console.error('Analytics events error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while recording analytics'
+    });
+  }
+});
+
+// @route   GET /api/analytics/report
+// @desc    Top posts by click-through rate and engagement over a date range
+// @access  Private (Admin)
+router.get('/report', [
+  auth,
+  adminAuth,
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('minImpressions')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('minImpressions must be a non-negative integer')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 10;
+    // Ignore posts with too little traffic for their rates to mean anything
+    const minImpressions = req.query.minImpressions !== undefined
+      ? parseInt(req.query.minImpressions)
+      : 20;
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000);
+
+    const totals = await PostDailyStat.aggregate([
+      {
+        $match: {
+          date: {
+            $gte: PostDailyStat.startOfDay(from),
+            $lte: PostDailyStat.startOfDay(to)
+          }
+        }
+      },
+      {
+        $group: {
+          _id: '$post',
+          views: { $sum: '$views' },
+          impressions: { $sum: '$impressions' },
+          clicks: { $sum: '$clicks' },
+          shares: { $sum: '$shares' },
+          timeOnPageTotal: { $sum: '$timeOnPageTotal' },
+          timeOnPageSamples: { $sum: '$timeOnPageSamples' }
+        }
+      },
+      {
+        $addFields: {
+          ctr: {
+            $cond: [{ $gt: ['$impressions', 0] }, { $divide: ['$clicks', '$impressions'] }, 0]
+          },
+          avgTimeOnPage: {
+            $cond: [
+              { $gt: ['$timeOnPageSamples', 0] },
+              { $divide: ['$timeOnPageTotal', '$timeOnPageSamples'] },
+              0
+            ]
+          },
+          shareRate: {
+            $cond: [{ $gt: ['$views', 0] }, { $divide: ['$shares', '$views'] }, 0]
+          }
+        }
+      },
+      {
+        $lookup: {
+          from: 'posts',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'post'
+        }
+      },
+      { $unwind: '$post' },
+      {
+        // $mergeObjects replaces the joined post instead of merging into it
+        $addFields: {
+          post: {
+            $mergeObjects: [{
+              _id: '$post._id',
+              title: '$post.title',
+              slug: '$post.slug',
+              status: '$post.status'
+            }]
+          }
+        }
+      },
+      { $project: { timeOnPageTotal: 0 } }
+    ]);
+
+    const topByCtr = totals
+      .filter(entry => entry.impressions >= minImpressions)
+      .sort((a, b) => b.ctr - a.ctr || b.clicks - a.clicks)
+      .slice(0, limit);
+
+    // Engagement: how long readers stay, then how often they share
+    const topByEngagement = totals
+      .filter(entry => entry.timeOnPageSamples > 0)
+      .sort((a, b) => b.avgTimeOnPage - a.avgTimeOnPage || b.shareRate - a.shareRate)
+      .slice(0, limit);
+
+    const summary = totals.reduce((sum, entry) => {
+      sum.views += entry.views;
+      sum.impressions += entry.impressions;
+      sum.clicks += entry.clicks;
+      sum.shares += entry.shares;
+      return sum;
+    }, { views: 0, impressions: 0, clicks: 0, shares: 0 });
+    summary.ctr = summary.impressions > 0 ? summary.clicks / summary.impressions : 0;
+
+    res.json({
+      success: true,
+      data: {
+        from: PostDailyStat.startOfDay(from).toISOString().slice(0, 10),
+        to: PostDailyStat.startOfDay(to).toISOString().slice(0, 10),
+        summary,
+        topByCtr,
+        topByEngagement
+      }
+    });
+  } catch (error) {
+    console.error('Analytics report error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while building analytics report'
+    });
+  }
+});
+
+module.exports = router;
@@ -6,6 +6,9 @@ const { auth } = require('../middleware/auth');
 
 const router = express.Router();
 
+// Networks a user can link from their public profile
+const SOCIAL_NETWORKS = ['website', 'twitter', 'github', 'linkedin', 'mastodon'];
+
 // Generate JWT token
 const generateToken = (userId) => {
   return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
@@ -230,6 +233,7 @@ router.get('/me', auth, async (req, res) => {
           role: req.user.role,
           avatar: req.user.avatar,
           bio: req.user.bio,
+          social: req.user.social,
           lastLogin: req.user.lastLogin,
           createdAt: req.user.createdAt
         }
@@ -290,7 +294,19 @@ router.put('/profile', [
   body('bio')
     .optional()
     .isLength({ max: 500 })
-    .withMessage('Bio cannot exceed 500 characters')
+    .withMessage('Bio cannot exceed 500 characters'),
+  body('avatar')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Avatar must be a URL'),
+  body('social')
+    .optional()
+    .isObject()
+    .withMessage('Social links must be an object'),
+  body(SOCIAL_NETWORKS.map(network => `social.${network}`))
+    .optional({ checkFalsy: true })
+    .isURL()
+    .withMessage('Social links must be valid URLs')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -303,13 +319,21 @@ router.put('/profile', [
       });
     }
 
-    const { firstName, lastName, bio } = req.body;
+    const { firstName, lastName, bio, avatar, social } = req.body;
     const user = req.user;
 
     // Update user fields
     if (firstName) user.firstName = firstName;
     if (lastName) user.lastName = lastName;
     if (bio !== undefined) user.bio = bio;
+    if (avatar !== undefined) user.avatar = avatar;
+    if (social) {
+      SOCIAL_NETWORKS.forEach(network => {
+        if (social[network] !== undefined) {
+          user.social[network] = social[network] || '';
+        }
+      });
+    }
 
     await user.save();
 
@@ -326,7 +350,8 @@ router.put('/profile', [
           fullName: user.fullName,
           role: user.role,
           avatar: user.avatar,
-          bio: user.bio
+          bio: user.bio,
+          social: user.social
         }
       }
     });
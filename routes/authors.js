@@ -0,0 +1,159 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const User = require('../models/User');
+const Post = require('../models/Post');
+
+const router = express.Router();
+
+// @route   GET /api/authors
+// @desc    Get authors with at least one published post
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const stats = await Post.findAuthorStats();
+    const users = await User.find({
+      _id: { $in: stats.map(entry => entry._id) },
+      isActive: true
+    });
+
+    const statsByUser = new Map(stats.map(entry => [entry._id.toString(), entry]));
+    const authors = users
+      .map(user => {
+        const entry = statsByUser.get(user._id.toString());
+        return {
+          ...user.toPublicProfile(),
+          postCount: entry.postCount,
+          totalViews: entry.totalViews,
+          lastPublishedAt: entry.lastPublishedAt
+        };
+      })
+      .sort((a, b) => b.postCount - a.postCount || a.fullName.localeCompare(b.fullName));
+
+    res.json({
+      success: true,
+      data: { authors }
+    });
+  } catch (error) {
+    console.error('Get authors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching authors'
+    });
+  }
+});
+
+// @route   GET /api/authors/:username
+// @desc    Get an author's public profile
+// @access  Public
+router.get('/:username', async (req, res) => {
+  try {
+    const user = await User.findOne({
+      username: req.params.username,
+      isActive: true
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found'
+      });
+    }
+
+    const [stats] = await Post.findAuthorStats([user._id]);
+
+    res.json({
+      success: true,
+      data: {
+        author: {
+          ...user.toPublicProfile(),
+          postCount: stats ? stats.postCount : 0,
+          totalViews: stats ? stats.totalViews : 0,
+          lastPublishedAt: stats ? stats.lastPublishedAt : null
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get author error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching author'
+    });
+  }
+});
+
+// @route   GET /api/authors/:username/posts
+// @desc    Get published posts credited to an author
+// @access  Public
+router.get('/:username/posts', [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+
+    const user = await User.findOne({
+      username: req.params.username,
+      isActive: true
+    });
+
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found'
+      });
+    }
+
+    const posts = await Post.findPublished({ author: user._id })
+      .select('-content')
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Post.countDocuments({
+      status: 'published',
+      ...Post.creditedTo(user._id)
+    });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        author: user.toPublicProfile(),
+        posts,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalPosts: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get author posts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching author posts'
+    });
+  }
+});
+
+module.exports = router;
@@ -3,6 +3,10 @@ const { body, validationResult } = require('express-validator');
 const Category = require('../models/Category');
 const Post = require('../models/Post');
 const { auth, adminAuth } = require('../middleware/auth');
+const { scheduleSuggestionRebuild } = require('../utils/suggestions');
+const { sendFeed } = require('../utils/feeds');
+const { sendSlugRedirect } = require('../utils/redirects');
+const { withTiebreaker, cursorFilter, cursorPage } = require('../utils/pagination');
 
 const router = express.Router();
 
@@ -79,6 +83,16 @@ router.get('/:slug', async (req, res) => {
     }).populate('subcategories');
 
     if (!category) {
+      // Old links keep working after a rename
+      const moved = await Category.findOne({
+        previousSlugs: req.params.slug.toLowerCase(),
+        isActive: true
+      }).select('slug');
+
+      if (moved) {
+        return sendSlugRedirect(req, res, moved.slug);
+      }
+
       return res.status(404).json({
         success: false,
         message: 'Category not found'
@@ -113,27 +127,64 @@ router.get('/:slug/posts', async (req, res) => {
     });
 
     if (!category) {
+      // Old links keep working after a rename
+      const moved = await Category.findOne({
+        previousSlugs: req.params.slug.toLowerCase(),
+        isActive: true
+      }).select('slug');
+
+      if (moved) {
+        return sendSlugRedirect(req, res, moved.slug);
+      }
+
       return res.status(404).json({
         success: false,
         message: 'Category not found'
       });
     }
 
-    const posts = await Post.find({
-      category: category._id,
-      status: 'published'
-    })
-    .populate('author', 'firstName lastName username avatar')
-    .populate('category', 'name slug color')
-    .select('-content')
-    .sort({ publishedAt: -1 })
-    .skip(skip)
-    .limit(limit);
-
-    const total = await Post.countDocuments({
+    const filter = {
       category: category._id,
       status: 'published'
-    });
+    };
+    const sort = withTiebreaker({ publishedAt: -1 });
+
+    const findPosts = (query) => Post.find(query)
+      .populate('author', 'firstName lastName username avatar')
+      .populate('contributors.user', 'firstName lastName username avatar bio')
+      .populate('contributors.guest', 'name slug avatar bio links')
+      .populate('category', 'name slug color')
+      .select('-content')
+      .sort(sort);
+
+    // Cursor mode (?cursor=, empty for the first page)
+    if (req.query.cursor !== undefined) {
+      const after = cursorFilter(req.query.cursor, sort);
+      if (!after) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor'
+        });
+      }
+
+      const docs = await findPosts({ ...filter, ...after }).limit(limit + 1);
+      const { items, pagination } = cursorPage(docs, limit, sort);
+
+      return res.json({
+        success: true,
+        data: {
+          category,
+          posts: items,
+          pagination
+        }
+      });
+    }
+
+    const posts = await findPosts(filter)
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Post.countDocuments(filter);
 
     const totalPages = Math.ceil(total / limit);
 
@@ -161,6 +212,51 @@ router.get('/:slug/posts', async (req, res) => {
   }
 });
 
+// @route   GET /api/categories/:slug/feed.xml
+// @desc    RSS feed of posts in a category (?format=atom|json for other formats)
+// @access  Public
+router.get('/:slug/feed.xml', async (req, res) => {
+  try {
+    const category = await Category.findOne({
+      slug: req.params.slug,
+      isActive: true
+    });
+
+    if (!category) {
+      // Old links keep working after a rename
+      const moved = await Category.findOne({
+        previousSlugs: req.params.slug.toLowerCase(),
+        isActive: true
+      }).select('slug');
+
+      if (moved) {
+        return sendSlugRedirect(req, res, moved.slug);
+      }
+
+      return res.status(404).json({
+        success: false,
+        message: 'Category not found'
+      });
+    }
+
+    const format = ['atom', 'json'].includes(req.query.format) ? req.query.format : 'rss';
+
+    await sendFeed(req, res, {
+      format,
+      filter: { category: category._id },
+      title: category.name,
+      description: category.description,
+      link: category.url
+    });
+  } catch (error) {
+    console.error('Get category feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating feed'
+    });
+  }
+});
+
 // @route   POST /api/categories
 // @desc    Create new category
 // @access  Private (Admin)
@@ -234,6 +330,7 @@ router.post('/', [
     });
 
     await category.save();
+    scheduleSuggestionRebuild();
 
     res.status(201).json({
       success: true,
@@ -340,6 +437,7 @@ router.put('/:id', [
     });
 
     await category.save();
+    scheduleSuggestionRebuild();
 
     res.json({
       success: true,
@@ -388,6 +486,7 @@ router.delete('/:id', auth, adminAuth, async (req, res) => {
     }
 
     await Category.findByIdAndDelete(req.params.id);
+    scheduleSuggestionRebuild();
 
     res.json({
       success: true,
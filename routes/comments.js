@@ -1,18 +1,273 @@
 const express = require('express');
+const mongoose = require('mongoose');
+const { body, param, query, validationResult } = require('express-validator');
 const Comment = require('../models/Comment');
+const { auth, adminAuth } = require('../middleware/auth');
+const { escapeRegex } = require('../utils/search');
+const { withTiebreaker, cursorFilter, cursorPage } = require('../utils/pagination');
 const router = express.Router();
 
+const PUBLIC_FIELDS = '-email -rejectionReason -moderatedBy';
+const THREAD_SORT = withTiebreaker({ createdAt: -1 });
+
+// Deepest reply level shown under a top-level comment (and accepted on POST)
+const getMaxDepth = () => {
+  const depth = parseInt(process.env.COMMENT_MAX_DEPTH);
+  return isNaN(depth) ? 5 : Math.max(depth, 0);
+};
+
+// Attach approved replies (oldest first) to top-level comments, level by
+// level down to `depth`. Every comment carries replyCount (its direct
+// approved replies) so clients can show "n more replies" where the tree
+// is cut off. Queries are scoped to the post so they stay on the
+// { postId, parentId, isApproved, createdAt } index.
+const buildThreads = async (postId, topLevel, depth) => {
+  const scope = { postId: new mongoose.Types.ObjectId(postId), isApproved: true };
+  const nodes = new Map();
+  const toNode = (comment) => {
+    const node = { ...comment.toJSON(), replies: [], replyCount: 0 };
+    nodes.set(comment._id.toString(), node);
+    return node;
+  };
+
+  const threads = topLevel.map(toNode);
+  let level = threads;
+
+  for (let current = 1; current <= depth && level.length > 0; current++) {
+    const replies = await Comment.find({
+      ...scope,
+      parentId: { $in: level.map(node => node._id) }
+    })
+    .select(PUBLIC_FIELDS)
+    .sort({ createdAt: 1 });
+
+    level = replies.map(reply => {
+      const node = toNode(reply);
+      const parent = nodes.get(reply.parentId.toString());
+      parent.replies.push(node);
+      parent.replyCount++;
+      return node;
+    });
+  }
+
+  // Count replies below the cut-off without loading them
+  if (level.length > 0) {
+    const counts = await Comment.aggregate([
+      { $match: { ...scope, parentId: { $in: level.map(node => node._id) } } },
+      { $group: { _id: '$parentId', count: { $sum: 1 } } }
+    ]);
+    counts.forEach(entry => {
+      nodes.get(entry._id.toString()).replyCount = entry.count;
+    });
+  }
+
+  return threads;
+};
+
+// @route   GET /api/comments/admin
+// @desc    Moderation queue across posts (?status=, ?postId=, ?search=)
+// @access  Private (Admin)
+router.get('/admin', [
+  auth,
+  adminAuth,
+  query('status')
+    .optional()
+    .isIn(Comment.STATUSES)
+    .withMessage(`Status must be one of: ${Comment.STATUSES.join(', ')}`),
+  query('postId')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid post ID'),
+  query('search')
+    .optional()
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Search must be a string of at most 200 characters'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 100 })
+    .withMessage('Limit must be between 1 and 100')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 20;
+    const { status, postId, search } = req.query;
+
+    const conditions = [];
+    if (status) {
+      conditions.push(Comment.statusFilter(status));
+    }
+    if (postId) {
+      conditions.push({ postId });
+    }
+    if (search && search.trim()) {
+      const pattern = new RegExp(escapeRegex(search.trim()), 'i');
+      conditions.push({ $or: [{ author: pattern }, { email: pattern }, { content: pattern }] });
+    }
+    const filter = conditions.length > 0 ? { $and: conditions } : {};
+
+    const [comments, total, counts] = await Promise.all([
+      Comment.find(filter)
+        .populate('postId', 'title slug')
+        .populate('moderatedBy', 'firstName lastName username')
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Comment.countDocuments(filter),
+      Promise.all(Comment.STATUSES.map(entry => Comment.countDocuments(Comment.statusFilter(entry))))
+    ]);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        comments,
+        counts: Comment.STATUSES.reduce((result, entry, index) => {
+          result[entry] = counts[index];
+          return result;
+        }, {}),
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalComments: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get comment queue error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @route   POST /api/comments/bulk
+// @desc    Approve, reject, mark as spam or delete several comments
+// @access  Private (Admin)
+router.post('/bulk', [
+  auth,
+  adminAuth,
+  body('ids')
+    .isArray({ min: 1, max: 100 })
+    .withMessage('Ids must be an array of 1 to 100 comment IDs'),
+  body('ids.*')
+    .isMongoId()
+    .withMessage('Ids must be valid comment IDs'),
+  body('action')
+    .isIn(['approve', 'reject', 'spam', 'delete'])
+    .withMessage('Action must be one of: approve, reject, spam, delete'),
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const { ids, action, reason } = req.body;
+    const postIds = await Comment.distinct('postId', { _id: { $in: ids } });
+
+    let affected;
+    if (action === 'delete') {
+      const result = await Comment.deleteMany({ _id: { $in: ids } });
+      affected = result.deletedCount;
+    } else {
+      const status = { approve: 'approved', reject: 'rejected', spam: 'spam' }[action];
+      const result = await Comment.updateMany(
+        { _id: { $in: ids } },
+        { $set: Comment.moderationUpdate(status, req.user._id, reason) }
+      );
+      affected = result.modifiedCount;
+    }
+
+    await Comment.syncPostCounts(postIds);
+
+    res.json({ success: true, message: `${affected} comment(s) updated`, data: { action, affected } });
+  } catch (error) {
+    console.error('Bulk comment moderation error:', error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
 // @route   GET /api/comments/:postId
-// @desc    Get all approved comments for a post
+// @desc    Get approved comments for a post as threads. Top-level comments
+//          are newest first and paginated with ?limit= and ?cursor= (from
+//          nextCursor); ?depth= limits reply nesting (COMMENT_MAX_DEPTH).
 // @access  Public
-router.get('/:postId', async (req, res) => {
+router.get('/:postId', [
+  param('postId')
+    .isMongoId()
+    .withMessage('Invalid post ID'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('depth')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Depth must be a non-negative integer'),
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Cursor must be a string')
+], async (req, res) => {
   try {
-    const comments = await Comment.find({ 
-      postId: req.params.postId, 
-      isApproved: true 
-    }).sort({ createdAt: -1 });
-    
-    res.json({ success: true, data: comments });
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
+    const limit = parseInt(req.query.limit) || 10;
+    const depth = Math.min(
+      req.query.depth !== undefined ? parseInt(req.query.depth) : getMaxDepth(),
+      getMaxDepth()
+    );
+
+    const after = cursorFilter(req.query.cursor, THREAD_SORT);
+    if (!after) {
+      return res.status(400).json({ success: false, message: 'Invalid cursor' });
+    }
+
+    const filter = {
+      postId: req.params.postId,
+      parentId: null,
+      isApproved: true
+    };
+
+    const [docs, totalThreads] = await Promise.all([
+      Comment.find({ ...filter, ...after })
+        .select(PUBLIC_FIELDS)
+        .sort(THREAD_SORT)
+        .limit(limit + 1),
+      Comment.countDocuments(filter)
+    ]);
+
+    const { items, pagination } = cursorPage(docs, limit, THREAD_SORT);
+    const comments = await buildThreads(req.params.postId, items, depth);
+
+    res.json({
+      success: true,
+      data: {
+        comments,
+        pagination: { ...pagination, totalThreads, depth }
+      }
+    });
   } catch (error) {
     console.error(error);
     res.status(500).json({ success: false, message: 'Server error' });
@@ -34,13 +289,42 @@ router.post('/', async (req, res) => {
       });
     }
 
+    if (!mongoose.isValidObjectId(postId) || (parentId && !mongoose.isValidObjectId(parentId))) {
+      return res.status(400).json({ success: false, message: 'Invalid post or parent comment ID' });
+    }
+
+    // Replies must go to an approved comment on the same post, within the
+    // maximum nesting depth
+    if (parentId) {
+      const parent = await Comment.findById(parentId).select('postId parentId isApproved');
+
+      if (!parent || !parent.isApproved || parent.postId.toString() !== String(postId)) {
+        return res.status(400).json({ success: false, message: 'Parent comment not found on this post' });
+      }
+
+      let depth = 1;
+      let ancestor = parent;
+      while (ancestor.parentId && depth <= getMaxDepth()) {
+        ancestor = await Comment.findById(ancestor.parentId).select('parentId');
+        if (!ancestor) break;
+        depth++;
+      }
+
+      if (depth > getMaxDepth()) {
+        return res.status(400).json({
+          success: false,
+          message: `Replies cannot be nested more than ${getMaxDepth()} levels deep`
+        });
+      }
+    }
+
     const newComment = new Comment({
       postId,
       author,
       email,
       content,
       parentId: parentId || null,
-      isApproved: false // Comments need approval by default
+      status: 'pending' // Comments need approval by default
     });
 
     const savedComment = await newComment.save();
@@ -57,13 +341,50 @@ router.post('/', async (req, res) => {
 });
 
 // @route   PUT /api/comments/:id/approve
-// @desc    Approve a comment (admin only)
-// @access  Private
-router.put('/:id/approve', async (req, res) => {
+// @desc    Approve a comment
+// @access  Private (Admin)
+router.put('/:id/approve', auth, adminAuth, async (req, res) => {
+  try {
+    const comment = await Comment.findByIdAndUpdate(
+      req.params.id,
+      { $set: Comment.moderationUpdate('approved', req.user._id) },
+      { new: true }
+    );
+
+    if (!comment) {
+      return res.status(404).json({ success: false, message: 'Comment not found' });
+    }
+
+    await Comment.syncPostCounts([comment.postId]);
+
+    res.json({ success: true, data: comment });
+  } catch (error) {
+    console.error(error);
+    res.status(500).json({ success: false, message: 'Server error' });
+  }
+});
+
+// @route   PUT /api/comments/:id/reject
+// @desc    Reject a comment with an optional reason
+// @access  Private (Admin)
+router.put('/:id/reject', [
+  auth,
+  adminAuth,
+  body('reason')
+    .optional()
+    .isString()
+    .isLength({ max: 500 })
+    .withMessage('Reason cannot exceed 500 characters')
+], async (req, res) => {
   try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: 'Validation failed', errors: errors.array() });
+    }
+
     const comment = await Comment.findByIdAndUpdate(
       req.params.id,
-      { isApproved: true },
+      { $set: Comment.moderationUpdate('rejected', req.user._id, req.body.reason) },
       { new: true }
     );
 
@@ -71,6 +392,8 @@ router.put('/:id/approve', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Comment not found' });
     }
 
+    await Comment.syncPostCounts([comment.postId]);
+
     res.json({ success: true, data: comment });
   } catch (error) {
     console.error(error);
@@ -80,8 +403,8 @@ router.put('/:id/approve', async (req, res) => {
 
 // @route   DELETE /api/comments/:id
 // @desc    Delete a comment
-// @access  Private
-router.delete('/:id', async (req, res) => {
+// @access  Private (Admin)
+router.delete('/:id', auth, adminAuth, async (req, res) => {
   try {
     const comment = await Comment.findByIdAndDelete(req.params.id);
 
@@ -89,6 +412,8 @@ router.delete('/:id', async (req, res) => {
       return res.status(404).json({ success: false, message: 'Comment not found' });
     }
 
+    await Comment.syncPostCounts([comment.postId]);
+
     res.json({ success: true, message: 'Comment deleted' });
   } catch (error) {
     console.error(error);
@@ -97,4 +422,3 @@ router.delete('/:id', async (req, res) => {
 });
 
 module.exports = router;
-
@@ -0,0 +1,113 @@
+const express = require('express');
+const User = require('../models/User');
+const Tag = require('../models/Tag');
+const { sendFeed } = require('../utils/feeds');
+
+const router = express.Router();
+
+// Feed file names and the format they serve
+const FEED_FILES = {
+  'rss.xml': 'rss',
+  'atom.xml': 'atom',
+  'feed.json': 'json'
+};
+
+// Resolve the :file param to a feed format or answer 404
+const resolveFormat = (req, res) => {
+  const format = FEED_FILES[req.params.file];
+  if (!format) {
+    res.status(404).json({
+      success: false,
+      message: 'Feed not found'
+    });
+  }
+  return format;
+};
+
+// @route   GET /api/feeds/:file
+// @desc    Site-wide feed (rss.xml, atom.xml or feed.json)
+// @access  Public
+router.get('/:file', async (req, res) => {
+  try {
+    const format = resolveFormat(req, res);
+    if (!format) return;
+
+    await sendFeed(req, res, { format });
+  } catch (error) {
+    console.error('Get feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating feed'
+    });
+  }
+});
+
+// @route   GET /api/feeds/tags/:tag/:file
+// @desc    Feed of posts with a tag
+// @access  Public
+router.get('/tags/:tag/:file', async (req, res) => {
+  try {
+    const format = resolveFormat(req, res);
+    if (!format) return;
+
+    const [tag] = await Tag.canonicalize([req.params.tag]);
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Feed not found'
+      });
+    }
+
+    await sendFeed(req, res, {
+      format,
+      filter: { tags: [tag] },
+      title: `#${tag}`,
+      description: `Posts tagged "${tag}"`,
+      link: `/tag/${encodeURIComponent(tag)}`
+    });
+  } catch (error) {
+    console.error('Get tag feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating feed'
+    });
+  }
+});
+
+// @route   GET /api/feeds/authors/:username/:file
+// @desc    Feed of posts by an author
+// @access  Public
+router.get('/authors/:username/:file', async (req, res) => {
+  try {
+    const format = resolveFormat(req, res);
+    if (!format) return;
+
+    const author = await User.findOne({
+      username: req.params.username,
+      isActive: true
+    });
+
+    if (!author) {
+      return res.status(404).json({
+        success: false,
+        message: 'Author not found'
+      });
+    }
+
+    await sendFeed(req, res, {
+      format,
+      filter: { author: author._id },
+      title: author.fullName,
+      description: `Posts by ${author.fullName}`,
+      link: `/author/${author.username}`
+    });
+  } catch (error) {
+    console.error('Get author feed error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating feed'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,245 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const GuestAuthor = require('../models/GuestAuthor');
+const Post = require('../models/Post');
+const { auth, adminAuth } = require('../middleware/auth');
+const { escapeRegex } = require('../utils/search');
+
+const router = express.Router();
+
+// @route   GET /api/guest-authors
+// @desc    Get guest profiles (?search= filters by name)
+// @access  Private (Admin)
+router.get('/', auth, adminAuth, async (req, res) => {
+  try {
+    const filter = {};
+    if (typeof req.query.search === 'string' && req.query.search.trim()) {
+      filter.name = new RegExp(escapeRegex(req.query.search.trim()), 'i');
+    }
+
+    const guestAuthors = await GuestAuthor.find(filter).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { guestAuthors }
+    });
+  } catch (error) {
+    console.error('Get guest authors error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching guest authors'
+    });
+  }
+});
+
+// @route   GET /api/guest-authors/:slug
+// @desc    Get a guest profile
+// @access  Public
+router.get('/:slug', async (req, res) => {
+  try {
+    const guestAuthor = await GuestAuthor.findOne({ slug: req.params.slug.toLowerCase() });
+
+    if (!guestAuthor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest author not found'
+      });
+    }
+
+    const postCount = await Post.countDocuments({
+      'contributors.guest': guestAuthor._id,
+      status: 'published'
+    });
+
+    res.json({
+      success: true,
+      data: { guestAuthor, postCount }
+    });
+  } catch (error) {
+    console.error('Get guest author error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching guest author'
+    });
+  }
+});
+
+// @route   POST /api/guest-authors
+// @desc    Create guest profile
+// @access  Private (Admin)
+router.post('/', [
+  auth,
+  adminAuth,
+  body('name')
+    .notEmpty()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Name is required and cannot exceed 100 characters'),
+  body('bio')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Bio cannot exceed 500 characters'),
+  body('avatar')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Avatar must be a URL'),
+  body('links')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Links must be an array of at most 10 entries'),
+  body('links.*.label')
+    .notEmpty()
+    .isLength({ max: 50 })
+    .withMessage('Link label is required and cannot exceed 50 characters'),
+  body('links.*.url')
+    .isURL()
+    .withMessage('Link URL must be valid')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { name, bio, avatar, links } = req.body;
+
+    const guestAuthor = new GuestAuthor({
+      name,
+      bio: bio || '',
+      avatar: avatar || null,
+      links: links || []
+    });
+
+    await guestAuthor.save();
+
+    res.status(201).json({
+      success: true,
+      message: 'Guest author created successfully',
+      data: { guestAuthor }
+    });
+  } catch (error) {
+    console.error('Create guest author error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating guest author'
+    });
+  }
+});
+
+// @route   PUT /api/guest-authors/:id
+// @desc    Update guest profile
+// @access  Private (Admin)
+router.put('/:id', [
+  auth,
+  adminAuth,
+  body('name')
+    .optional()
+    .notEmpty()
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('Name cannot be empty or exceed 100 characters'),
+  body('bio')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Bio cannot exceed 500 characters'),
+  body('avatar')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Avatar must be a URL'),
+  body('links')
+    .optional()
+    .isArray({ max: 10 })
+    .withMessage('Links must be an array of at most 10 entries'),
+  body('links.*.label')
+    .notEmpty()
+    .isLength({ max: 50 })
+    .withMessage('Link label is required and cannot exceed 50 characters'),
+  body('links.*.url')
+    .isURL()
+    .withMessage('Link URL must be valid')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const guestAuthor = await GuestAuthor.findById(req.params.id);
+
+    if (!guestAuthor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest author not found'
+      });
+    }
+
+    ['name', 'bio', 'avatar', 'links'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        guestAuthor[field] = req.body[field];
+      }
+    });
+
+    await guestAuthor.save();
+
+    res.json({
+      success: true,
+      message: 'Guest author updated successfully',
+      data: { guestAuthor }
+    });
+  } catch (error) {
+    console.error('Update guest author error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating guest author'
+    });
+  }
+});
+
+// @route   DELETE /api/guest-authors/:id
+// @desc    Delete guest profile (only when no post credits it)
+// @access  Private (Admin)
+router.delete('/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const guestAuthor = await GuestAuthor.findById(req.params.id);
+
+    if (!guestAuthor) {
+      return res.status(404).json({
+        success: false,
+        message: 'Guest author not found'
+      });
+    }
+
+    const postCount = await Post.countDocuments({ 'contributors.guest': guestAuthor._id });
+    if (postCount > 0) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot delete guest author. They are credited on ${postCount} posts. Please remove the credits first.`
+      });
+    }
+
+    await GuestAuthor.findByIdAndDelete(req.params.id);
+
+    res.json({
+      success: true,
+      message: 'Guest author deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete guest author error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting guest author'
+    });
+  }
+});
+
+module.exports = router;
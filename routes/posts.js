@@ -1,11 +1,71 @@
 const express = require('express');
-const { body, validationResult, query } = require('express-validator');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { body, validationResult, query, param } = require('express-validator');
 const Post = require('../models/Post');
 const Category = require('../models/Category');
-const { auth, adminAuth, optionalAuth } = require('../middleware/auth');
+const PostRevision = require('../models/PostRevision');
+const PreviewLink = require('../models/PreviewLink');
+const PostTransition = require('../models/PostTransition');
+const Reaction = require('../models/Reaction');
+const PostDailyStat = require('../models/PostDailyStat');
+const PostViewMark = require('../models/PostViewMark');
+const Series = require('../models/Series');
+const User = require('../models/User');
+const GuestAuthor = require('../models/GuestAuthor');
+const Tag = require('../models/Tag');
+const { diffFields } = require('../utils/diff');
+const { parseSearchQuery, toTextSearch, withHighlights } = require('../utils/search');
+const { scheduleSuggestionRebuild } = require('../utils/suggestions');
+const { renderContent, extractHeadings, buildToc } = require('../utils/render');
+const { sendSlugRedirect } = require('../utils/redirects');
+const { STATUSES, allowedTransitions, validateTransition } = require('../utils/workflow');
+const { getVisitorKey } = require('../utils/visitor');
+const { recordView } = require('../utils/views');
+const { checkContributors } = require('../utils/contributors');
+const { withTiebreaker, cursorFilter, cursorPage } = require('../utils/pagination');
+const { articleSchema } = require('../utils/structuredData');
+const { RELATED_FIELDS, computeRelatedPosts, refreshRelatedPosts } = require('../utils/related');
+const { auth, adminAuth, superAdminAuth, optionalAuth } = require('../middleware/auth');
 
 const router = express.Router();
 
+const previewSecret = () => process.env.PREVIEW_TOKEN_SECRET || process.env.JWT_SECRET;
+
+// Apply an editor-chosen slug to a post, pinning it so title edits don't
+// regenerate it. An empty value unpins it. Returns false if the slug is taken.
+const applyCustomSlug = async (post, value) => {
+  if (!value) {
+    post.slugLocked = false;
+    return true;
+  }
+
+  const slug = Post.toSlug(value);
+  const taken = await Post.exists({ slug, _id: { $ne: post._id } });
+  if (!slug || taken) {
+    return false;
+  }
+
+  post.slug = slug;
+  post.slugLocked = true;
+  return true;
+};
+
+// Apply the category and comma-separated tags filters shared by the public
+// post listings (tag synonyms resolve to their registered tag)
+const applyListFilters = async (query, { category, tags }) => {
+  if (category) {
+    query.category = category;
+  }
+
+  if (tags) {
+    const tagArray = await Tag.canonicalize(tags.split(','));
+    query.tags = { $in: tagArray };
+  }
+
+  return query;
+};
+
 // @route   GET /api/posts
 // @desc    Get all published posts with pagination and filtering
 // @access  Public
@@ -32,8 +92,18 @@ router.get('/', [
     .withMessage('Search must be a string'),
   query('sort')
     .optional()
-    .isIn(['latest', 'oldest', 'popular', 'trending'])
-    .withMessage('Sort must be one of: latest, oldest, popular, trending')
+    .isIn(['latest', 'oldest', 'popular', 'trending', 'relevance'])
+    .withMessage('Sort must be one of: latest, oldest, popular, trending, relevance'),
+  query('author')
+    .optional()
+    .isString()
+    .isLength({ max: 100 })
+    .withMessage('Author must be a username or guest profile slug'),
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Cursor must be a string')
 ], optionalAuth, async (req, res) => {
   try {
     // Check for validation errors
@@ -49,27 +119,36 @@ router.get('/', [
     const page = parseInt(req.query.page) || 1;
     const limit = parseInt(req.query.limit) || 10;
     const skip = (page - 1) * limit;
-    const { category, tags, search, sort = 'latest' } = req.query;
+    const { category, tags, search, author } = req.query;
+    const searchQuery = search ? parseSearchQuery(search) : null;
+    const textSearch = searchQuery ? toTextSearch(searchQuery) : '';
+    const sort = req.query.sort || (textSearch ? 'relevance' : 'latest');
 
     // Build query
-    let query = { status: 'published' };
+    let query = await applyListFilters({ status: 'published' }, { category, tags });
 
-    if (category) {
-      query.category = category;
-    }
+    // Posts crediting a user (by username) or a guest profile (by slug)
+    if (author) {
+      const user = await User.findOne({ username: author, isActive: true }).select('_id');
+      const guest = !user && await GuestAuthor.findOne({ slug: author.toLowerCase() }).select('_id');
 
-    if (tags) {
-      const tagArray = tags.split(',').map(tag => tag.trim().toLowerCase());
-      query.tags = { $in: tagArray };
+      if (!user && !guest) {
+        return res.status(404).json({
+          success: false,
+          message: 'Author not found'
+        });
+      }
+
+      if (user) {
+        Object.assign(query, Post.creditedTo(user._id));
+      } else {
+        query['contributors.guest'] = guest._id;
+      }
     }
 
-    if (search) {
-      query.$or = [
-        { title: { $regex: search, $options: 'i' } },
-        { content: { $regex: search, $options: 'i' } },
-        { excerpt: { $regex: search, $options: 'i' } },
-        { tags: { $in: [new RegExp(search, 'i')] } }
-      ];
+    // Full-text search (supports "quoted phrases" and -exclusions)
+    if (textSearch) {
+      query.$text = { $search: textSearch };
     }
 
     // Build sort
@@ -82,23 +161,63 @@ router.get('/', [
         sortQuery = { views: -1, likes: -1 };
         break;
       case 'trending':
-        // Posts from last 7 days sorted by views and likes
-        const oneWeekAgo = new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
-        query.publishedAt = { $gte: oneWeekAgo };
-        sortQuery = { views: -1, likes: -1 };
+        // Time-decayed activity score kept up to date by the trending job
+        sortQuery = { trendingScore: -1, publishedAt: -1 };
+        break;
+      case 'relevance':
+        sortQuery = textSearch
+          ? { score: { $meta: 'textScore' }, publishedAt: -1 }
+          : { publishedAt: -1 };
         break;
       case 'latest':
       default:
         sortQuery = { publishedAt: -1 };
         break;
     }
+    sortQuery = withTiebreaker(sortQuery);
 
-    // Execute query
-    const posts = await Post.find(query)
+    // Search results keep content to build highlighted snippets
+    const findPosts = (filter) => Post.find(filter)
       .populate('author', 'firstName lastName username avatar')
+      .populate('contributors.user', 'firstName lastName username avatar bio')
+      .populate('contributors.guest', 'name slug avatar bio links')
       .populate('category', 'name slug color')
-      .select('-content') // Exclude full content for list view
-      .sort(sortQuery)
+      .select(textSearch ? { score: { $meta: 'textScore' } } : '-content')
+      .sort(sortQuery);
+
+    // Cursor mode (?cursor=, empty for the first page): keyset pagination
+    // on the sort keys without a total count
+    if (req.query.cursor !== undefined) {
+      if (sortQuery.score) {
+        return res.status(400).json({
+          success: false,
+          message: 'Cursor pagination is not available for relevance sort'
+        });
+      }
+
+      const after = cursorFilter(req.query.cursor, sortQuery);
+      if (!after) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor for this sort'
+        });
+      }
+
+      const docs = await findPosts(after.$or ? { $and: [query, after] } : query)
+        .limit(limit + 1);
+      const { items, pagination } = cursorPage(docs, limit, sortQuery);
+
+      return res.json({
+        success: true,
+        data: {
+          posts: textSearch ? withHighlights(items, searchQuery) : items,
+          pagination
+        }
+      });
+    }
+
+    // Execute query
+    const posts = await findPosts(query)
       .skip(skip)
       .limit(limit);
 
@@ -109,7 +228,7 @@ router.get('/', [
     res.json({
       success: true,
       data: {
-        posts,
+        posts: textSearch ? withHighlights(posts, searchQuery) : posts,
         pagination: {
           currentPage: page,
           totalPages,
@@ -155,17 +274,11 @@ router.get('/trending', async (req, res) => {
 // @access  Public
 router.get('/tags', async (req, res) => {
   try {
-    const tags = await Post.aggregate([
-      { $match: { status: 'published' } },
-      { $unwind: '$tags' },
-      { $group: { _id: '$tags', count: { $sum: 1 } } },
-      { $sort: { count: -1 } },
-      { $limit: 50 }
-    ]);
+    const tags = await Post.findTagCounts(50);
 
     res.json({
       success: true,
-      data: { tags: tags.map(tag => ({ name: tag._id, count: tag.count })) }
+      data: { tags }
     });
   } catch (error) {
     console.error('Get tags error:', error);
@@ -176,6 +289,163 @@ router.get('/tags', async (req, res) => {
   }
 });
 
+// @route   GET /api/posts/archive
+// @desc    Get year/month buckets with published post counts
+// @access  Public
+router.get('/archive', [
+  query('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid category ID'),
+  query('tags')
+    .optional()
+    .isString()
+    .withMessage('Tags must be a string')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const match = await applyListFilters({ status: 'published', publishedAt: { $ne: null } }, {
+      category: req.query.category && new mongoose.Types.ObjectId(req.query.category),
+      tags: req.query.tags
+    });
+
+    const buckets = await Post.aggregate([
+      { $match: match },
+      {
+        $group: {
+          _id: { year: { $year: '$publishedAt' }, month: { $month: '$publishedAt' } },
+          count: { $sum: 1 }
+        }
+      },
+      { $sort: { '_id.year': -1, '_id.month': -1 } }
+    ]);
+
+    // Group months under their year (both newest first)
+    const archive = [];
+    buckets.forEach(bucket => {
+      let year = archive[archive.length - 1];
+      if (!year || year.year !== bucket._id.year) {
+        year = { year: bucket._id.year, count: 0, months: [] };
+        archive.push(year);
+      }
+      year.count += bucket.count;
+      year.months.push({ month: bucket._id.month, count: bucket.count });
+    });
+
+    res.json({
+      success: true,
+      data: { archive }
+    });
+  } catch (error) {
+    console.error('Get archive error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching archive'
+    });
+  }
+});
+
+// @route   GET /api/posts/archive/:year/:month?
+// @desc    Get published posts from a year or month (UTC)
+// @access  Public
+router.get('/archive/:year/:month?', [
+  param('year')
+    .isInt({ min: 1970, max: 9999 })
+    .withMessage('Year must be a valid year'),
+  param('month')
+    .optional()
+    .isInt({ min: 1, max: 12 })
+    .withMessage('Month must be between 1 and 12'),
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50'),
+  query('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Invalid category ID'),
+  query('tags')
+    .optional()
+    .isString()
+    .withMessage('Tags must be a string')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const year = parseInt(req.params.year);
+    const month = req.params.month ? parseInt(req.params.month) : null;
+
+    const start = new Date(Date.UTC(year, month ? month - 1 : 0, 1));
+    const end = month
+      ? new Date(Date.UTC(year, month, 1))
+      : new Date(Date.UTC(year + 1, 0, 1));
+
+    const query = await applyListFilters({
+      status: 'published',
+      publishedAt: { $gte: start, $lt: end }
+    }, req.query);
+
+    const posts = await Post.find(query)
+      .populate('author', 'firstName lastName username avatar')
+      .populate('contributors.user', 'firstName lastName username avatar bio')
+      .populate('contributors.guest', 'name slug avatar bio links')
+      .populate('category', 'name slug color')
+      .select('-content')
+      .sort({ publishedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const total = await Post.countDocuments(query);
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        period: { year, month, from: start, to: end },
+        posts,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalPosts: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get archive posts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching archive posts'
+    });
+  }
+});
+
 // @route   GET /api/posts/admin
 // @desc    Get all posts for admin (including drafts)
 // @access  Private (Admin)
@@ -192,12 +462,17 @@ router.get('/admin', [
     .withMessage('Limit must be between 1 and 50'),
   query('status')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be one of: draft, published, archived'),
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
   query('sort')
     .optional()
     .isIn(['latest', 'oldest', 'title', 'views'])
-    .withMessage('Sort must be one of: latest, oldest, title, views')
+    .withMessage('Sort must be one of: latest, oldest, title, views'),
+  query('cursor')
+    .optional()
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Cursor must be a string')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -238,13 +513,41 @@ router.get('/admin', [
         sortQuery = { createdAt: -1 };
         break;
     }
+    sortQuery = withTiebreaker(sortQuery);
 
-    // Execute query
-    const posts = await Post.find(query)
+    const findPosts = (filter) => Post.find(filter)
       .populate('author', 'firstName lastName username avatar')
+      .populate('contributors.user', 'firstName lastName username avatar bio')
+      .populate('contributors.guest', 'name slug avatar bio links')
       .populate('category', 'name slug color')
       .select('-content') // Exclude full content for list view
-      .sort(sortQuery)
+      .sort(sortQuery);
+
+    // Cursor mode (?cursor=, empty for the first page)
+    if (req.query.cursor !== undefined) {
+      const after = cursorFilter(req.query.cursor, sortQuery);
+      if (!after) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid cursor for this sort'
+        });
+      }
+
+      const docs = await findPosts(after.$or ? { $and: [query, after] } : query)
+        .limit(limit + 1);
+      const { items, pagination } = cursorPage(docs, limit, sortQuery);
+
+      return res.json({
+        success: true,
+        data: {
+          posts: items,
+          pagination
+        }
+      });
+    }
+
+    // Execute query
+    const posts = await findPosts(query)
       .skip(skip)
       .limit(limit);
 
@@ -275,73 +578,45 @@ router.get('/admin', [
   }
 });
 
-// @route   GET /api/posts/:slug
-// @desc    Get single post by slug
-// @access  Public
-router.get('/:slug', optionalAuth, async (req, res) => {
+// @route   GET /api/posts/admin/scheduled
+// @desc    Get posts scheduled for future publishing
+// @access  Private (Admin)
+router.get('/admin/scheduled', auth, adminAuth, async (req, res) => {
   try {
-    const post = await Post.findOne({ 
-      slug: req.params.slug,
-      status: 'published'
+    const posts = await Post.find({
+      status: 'scheduled',
+      scheduledFor: { $ne: null }
     })
-    .populate('author', 'firstName lastName username avatar bio')
-    .populate('category', 'name slug color description')
-    .populate('relatedPosts', 'title slug excerpt featuredImage publishedAt');
-
-    if (!post) {
-      return res.status(404).json({
-        success: false,
-        message: 'Post not found'
-      });
-    }
-
-    // Increment views (but not for the author)
-    if (!req.user || req.user._id.toString() !== post.author._id.toString()) {
-      await post.incrementViews();
-    }
+    .populate('author', 'firstName lastName username avatar')
+    .populate('contributors.user', 'firstName lastName username avatar bio')
+    .populate('contributors.guest', 'name slug avatar bio links')
+    .populate('category', 'name slug color')
+    .select('-content')
+    .sort({ scheduledFor: 1 });
 
     res.json({
       success: true,
-      data: { post }
+      data: { posts }
     });
   } catch (error) {
-    console.error('Get post error:', error);
+    console.error('Get scheduled posts error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while fetching post'
+      message: 'Server error while fetching scheduled posts'
     });
   }
 });
 
-// @route   POST /api/posts
-// @desc    Create new post
-// @access  Private (Admin)
-router.post('/', [
+// @route   GET /api/posts/admin/preview-links
+// @desc    List outstanding (unexpired, unrevoked) preview links
+// @access  Private (Super Admin)
+router.get('/admin/preview-links', [
   auth,
-  adminAuth,
-  body('title')
-    .notEmpty()
-    .trim()
-    .isLength({ max: 200 })
-    .withMessage('Title is required and cannot exceed 200 characters'),
-  body('content')
-    .notEmpty()
-    .withMessage('Content is required'),
-  body('category')
-    .isMongoId()
-    .withMessage('Valid category ID is required'),
-  body('tags')
-    .optional()
-    .isArray()
-    .withMessage('Tags must be an array'),
-  body('status')
-    .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be one of: draft, published, archived'),
-  body('excerpt')
+  superAdminAuth,
+  query('post')
     .optional()
-    .isLength({ max: 500 })
-    .withMessage('Excerpt cannot exceed 500 characters')
+    .isMongoId()
+    .withMessage('Invalid post ID')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -354,96 +629,1000 @@ router.post('/', [
       });
     }
 
-    const {
-      title,
-      content,
-      excerpt,
-      category,
-      tags,
-      status,
-      featuredImage,
-      seo,
-      contentType,
-      scheduledFor,
-      affiliateLinks,
-      adSenseEnabled,
-      commentsEnabled
-    } = req.body;
+    const links = await PreviewLink.findOutstanding(
+      req.query.post ? { post: req.query.post } : {}
+    );
 
-    // Verify category exists
-    const categoryExists = await Category.findById(category);
-    if (!categoryExists) {
-      return res.status(400).json({
+    res.json({
+      success: true,
+      data: { links }
+    });
+  } catch (error) {
+    console.error('Get preview links error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching preview links'
+    });
+  }
+});
+
+// @route   DELETE /api/posts/admin/preview-links/:linkId
+// @desc    Revoke a preview link
+// @access  Private (Super Admin)
+router.delete('/admin/preview-links/:linkId', auth, superAdminAuth, async (req, res) => {
+  try {
+    const link = await PreviewLink.findOneAndUpdate(
+      { _id: req.params.linkId, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy: req.user._id } },
+      { new: true }
+    );
+
+    if (!link) {
+      return res.status(404).json({
         success: false,
-        message: 'Invalid category'
+        message: 'Preview link not found'
       });
     }
 
-    // Create new post
-    const post = new Post({
-      title,
-      content,
-      excerpt,
-      category,
-      tags: tags || [],
-      author: req.user._id,
-      status: status || 'draft',
-      featuredImage: featuredImage || {},
-      seo: seo || {},
-      contentType: contentType || 'markdown',
-      scheduledFor,
+    res.json({
+      success: true,
+      message: 'Preview link revoked',
+      data: { link }
+    });
+  } catch (error) {
+    console.error('Revoke preview link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while revoking preview link'
+    });
+  }
+});
+
+// @route   GET /api/posts/preview/:token
+// @desc    Get a post (including drafts) through a signed preview link
+// @access  Public (token)
+router.get('/preview/:token', async (req, res) => {
+  try {
+    let decoded;
+    try {
+      decoded = jwt.verify(req.params.token, previewSecret());
+    } catch (error) {
+      decoded = null;
+    }
+
+    const link = decoded && decoded.type === 'preview'
+      ? await PreviewLink.findById(decoded.link)
+      : null;
+
+    if (!link || !link.isActive || link.post.toString() !== decoded.post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Preview link is invalid or has expired'
+      });
+    }
+
+    const post = await Post.findById(link.post)
+      .select('+toc +renderedHtml')
+      .populate('author', 'firstName lastName username avatar bio')
+      .populate('contributors.user', 'firstName lastName username avatar bio')
+      .populate('contributors.guest', 'name slug avatar bio links')
+      .populate('category', 'name slug color description')
+      .populate('relatedPosts', 'title slug excerpt featuredImage publishedAt');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    if (!post.renderedHtml) {
+      post.renderedHtml = renderContent(
+        post.content,
+        post.contentType,
+        post.toc.map(entry => entry.anchor)
+      );
+    }
+
+    // Track usage, but never count a preview as a view
+    await link.updateOne({ $set: { lastUsedAt: new Date() }, $inc: { useCount: 1 } });
+
+    res.set('X-Robots-Tag', 'noindex, nofollow');
+    res.json({
+      success: true,
+      data: {
+        post,
+        preview: { expiresAt: link.expiresAt }
+      }
+    });
+  } catch (error) {
+    console.error('Get post preview error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching preview'
+    });
+  }
+});
+
+// @route   GET /api/posts/:slug
+// @desc    Get single post by slug (?render=true adds sanitized renderedHtml,
+//          ?toc=only returns just the table of contents)
+// @access  Public
+router.get('/:slug', optionalAuth, async (req, res) => {
+  try {
+    const render = req.query.render === 'true';
+    const tocOnly = req.query.toc === 'only';
+
+    const post = await Post.findOne({ 
+      slug: req.params.slug,
+      status: 'published'
+    })
+    .select(render && !tocOnly ? '+toc +renderedHtml' : '+toc')
+    .populate('author', 'firstName lastName username avatar bio')
+    .populate('contributors.user', 'firstName lastName username avatar bio')
+    .populate('contributors.guest', 'name slug avatar bio links')
+    .populate('category', 'name slug color description')
+    .populate({
+      path: 'relatedPosts',
+      select: 'title slug excerpt featuredImage publishedAt',
+      match: { status: 'published' }
+    });
+
+    if (!post) {
+      // Old links keep working after a slug change
+      const moved = await Post.findOne({
+        previousSlugs: req.params.slug.toLowerCase(),
+        status: 'published'
+      }).select('slug');
+
+      if (moved) {
+        return sendSlugRedirect(req, res, moved.slug);
+      }
+
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    // Posts saved before toc/rendering existed get them built (and cached) lazily
+    if (post.toc.length === 0) {
+      const toc = buildToc(extractHeadings(post.content, post.contentType));
+      if (toc.length > 0) {
+        post.toc = toc;
+        await Post.updateOne({ _id: post._id }, { $set: { toc } }, { timestamps: false });
+      }
+    }
+
+    if (tocOnly) {
+      return res.json({
+        success: true,
+        data: {
+          post: {
+            _id: post._id,
+            title: post.title,
+            slug: post.slug,
+            toc: post.toc
+          }
+        }
+      });
+    }
+
+    if (render && !post.renderedHtml) {
+      post.renderedHtml = renderContent(
+        post.content,
+        post.contentType,
+        post.toc.map(entry => entry.anchor)
+      );
+      await Post.updateOne({ _id: post._id }, { $set: { renderedHtml: post.renderedHtml } }, { timestamps: false });
+    }
+
+    // Count the view (deduplicated per visitor, never for the author)
+    if (!req.user || !post.author || req.user._id.toString() !== post.author._id.toString()) {
+      await recordView(post, req);
+    }
+
+    // Series navigation ("Part n of m" with prev/next links)
+    const series = await Series.navigationFor(post._id);
+
+    res.json({
+      success: true,
+      data: {
+        post: { ...post.toJSON(), series },
+        structuredData: articleSchema(post, req)
+      }
+    });
+  } catch (error) {
+    console.error('Get post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching post'
+    });
+  }
+});
+
+// @route   GET /api/posts/:slug/related
+// @desc    Compute related posts for a published post
+// @access  Public
+router.get('/:slug/related', [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 20 })
+    .withMessage('Limit must be between 1 and 20')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const post = await Post.findOne({
+      slug: req.params.slug,
+      status: 'published'
+    }).select('title excerpt tags category relatedPinned relatedExcluded');
+
+    if (!post) {
+      const moved = await Post.findOne({
+        previousSlugs: req.params.slug.toLowerCase(),
+        status: 'published'
+      }).select('slug');
+
+      if (moved) {
+        return sendSlugRedirect(req, res, moved.slug);
+      }
+
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || undefined;
+    const posts = await computeRelatedPosts(post, limit);
+
+    res.json({
+      success: true,
+      data: { posts }
+    });
+  } catch (error) {
+    console.error('Get related posts error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching related posts'
+    });
+  }
+});
+
+// @route   POST /api/posts
+// @desc    Create new post
+// @access  Private (Admin)
+router.post('/', [
+  auth,
+  adminAuth,
+  body('title')
+    .notEmpty()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title is required and cannot exceed 200 characters'),
+  body('slug')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Slug must be a string of at most 200 characters'),
+  body('content')
+    .notEmpty()
+    .withMessage('Content is required'),
+  body('category')
+    .isMongoId()
+    .withMessage('Valid category ID is required'),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array'),
+  body('contributors')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Contributors must be an array of at most 20 entries'),
+  body('contributors.*.user')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Contributor user must be a valid user ID'),
+  body('contributors.*.guest')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Contributor guest must be a valid guest profile ID'),
+  body('contributors.*.role')
+    .optional()
+    .isIn(Post.CONTRIBUTOR_ROLES)
+    .withMessage(`Contributor role must be one of: ${Post.CONTRIBUTOR_ROLES.join(', ')}`),
+  body('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  body('excerpt')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Excerpt cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const {
+      title,
+      content,
+      excerpt,
+      category,
+      tags,
+      status,
+      featuredImage,
+      seo,
+      contentType,
+      scheduledFor,
+      affiliateLinks,
+      adSenseEnabled,
+      commentsEnabled,
+      contributors
+    } = req.body;
+
+    // New posts start as drafts; anything else must be a valid transition
+    const initialStatus = status || 'draft';
+    if (initialStatus !== 'draft') {
+      const transitionError = validateTransition('draft', initialStatus, req.user.role, req.body.comment);
+      if (transitionError) {
+        return res.status(403).json({
+          success: false,
+          message: transitionError
+        });
+      }
+    }
+
+    if (initialStatus === 'scheduled' && !(scheduledFor && new Date(scheduledFor) > new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scheduled posts need a future scheduledFor time'
+      });
+    }
+
+    // Only scheduled posts are picked up by the scheduler
+    if (scheduledFor && initialStatus !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: 'scheduledFor can only be set on scheduled posts; use PUT /api/posts/:id/schedule'
+      });
+    }
+
+    // Verify category exists
+    const categoryExists = await Category.findById(category);
+    if (!categoryExists) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid category'
+      });
+    }
+
+    if (contributors) {
+      const contributorsError = await checkContributors(contributors);
+      if (contributorsError) {
+        return res.status(400).json({
+          success: false,
+          message: contributorsError
+        });
+      }
+    }
+
+    // Create new post
+    const post = new Post({
+      title,
+      content,
+      excerpt,
+      category,
+      tags: tags || [],
+      author: req.user._id,
+      contributors: contributors || [],
+      status: initialStatus,
+      featuredImage: featuredImage || {},
+      seo: seo || {},
+      contentType: contentType || 'markdown',
+      scheduledFor,
       affiliateLinks: affiliateLinks || [],
       adSenseEnabled: adSenseEnabled !== undefined ? adSenseEnabled : true,
       commentsEnabled: commentsEnabled !== undefined ? commentsEnabled : true
     });
 
-    await post.save();
+    if (req.body.slug && !(await applyCustomSlug(post, req.body.slug))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Slug is invalid or already in use'
+      });
+    }
+
+    await post.save();
+
+    if (initialStatus !== 'draft') {
+      await PostTransition.record(post._id, 'draft', initialStatus, req.user._id, req.body.comment);
+    }
+
+    await refreshRelatedPosts(post);
+    scheduleSuggestionRebuild();
+
+    // Populate the post before returning
+    await post.populate('author', 'firstName lastName username avatar');
+    await post.populate('contributors.user', 'firstName lastName username avatar bio');
+    await post.populate('contributors.guest', 'name slug avatar bio links');
+    await post.populate('category', 'name slug color');
+
+    res.status(201).json({
+      success: true,
+      message: 'Post created successfully',
+      data: { post }
+    });
+  } catch (error) {
+    console.error('Create post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating post'
+    });
+  }
+});
+
+// @route   PUT /api/posts/:id
+// @desc    Update post
+// @access  Private (Admin)
+router.put('/:id', [
+  auth,
+  adminAuth,
+  body('title')
+    .optional()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title cannot exceed 200 characters'),
+  body('slug')
+    .optional({ nullable: true })
+    .isString()
+    .isLength({ max: 200 })
+    .withMessage('Slug must be a string of at most 200 characters'),
+  body('category')
+    .optional()
+    .isMongoId()
+    .withMessage('Valid category ID is required'),
+  body('tags')
+    .optional()
+    .isArray()
+    .withMessage('Tags must be an array'),
+  body('contributors')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Contributors must be an array of at most 20 entries'),
+  body('contributors.*.user')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Contributor user must be a valid user ID'),
+  body('contributors.*.guest')
+    .optional({ nullable: true })
+    .isMongoId()
+    .withMessage('Contributor guest must be a valid guest profile ID'),
+  body('contributors.*.role')
+    .optional()
+    .isIn(Post.CONTRIBUTOR_ROLES)
+    .withMessage(`Contributor role must be one of: ${Post.CONTRIBUTOR_ROLES.join(', ')}`),
+  body('status')
+    .optional()
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  body('excerpt')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Excerpt cannot exceed 500 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const post = await Post.findById(req.params.id).select('+toc');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    // Verify category exists if provided
+    if (req.body.category) {
+      const categoryExists = await Category.findById(req.body.category);
+      if (!categoryExists) {
+        return res.status(400).json({
+          success: false,
+          message: 'Invalid category'
+        });
+      }
+    }
+
+    if (req.body.contributors) {
+      const contributorsError = await checkContributors(req.body.contributors);
+      if (contributorsError) {
+        return res.status(400).json({
+          success: false,
+          message: contributorsError
+        });
+      }
+    }
+
+    // Status changes must follow the editorial workflow
+    const previousStatus = post.status;
+    if (req.body.status !== undefined && req.body.status !== previousStatus) {
+      const transitionError = validateTransition(previousStatus, req.body.status, req.user.role, req.body.comment);
+      if (transitionError) {
+        return res.status(403).json({
+          success: false,
+          message: transitionError
+        });
+      }
+    }
+
+    // A scheduled post always needs a future publish time; clearing it is
+    // what unscheduling is for
+    const nextStatus = req.body.status !== undefined ? req.body.status : post.status;
+    const nextScheduledFor = req.body.scheduledFor !== undefined ? req.body.scheduledFor : post.scheduledFor;
+    const schedulingChanged = req.body.status === 'scheduled' || req.body.scheduledFor !== undefined;
+    if (nextStatus === 'scheduled' && schedulingChanged && !(nextScheduledFor && new Date(nextScheduledFor) > new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scheduled posts need a future scheduledFor time; use DELETE /api/posts/:id/schedule to unschedule'
+      });
+    }
+
+    // Only scheduled posts are picked up by the scheduler
+    if (req.body.scheduledFor && nextStatus !== 'scheduled') {
+      return res.status(400).json({
+        success: false,
+        message: 'scheduledFor can only be set on scheduled posts; use PUT /api/posts/:id/schedule'
+      });
+    }
+
+    // Snapshot the current version so it can be restored later
+    const previous = PostRevision.snapshotOf(post);
+
+    // Update post fields
+    PostRevision.TRACKED_FIELDS.forEach(field => {
+      if (req.body[field] !== undefined) {
+        post[field] = req.body[field];
+      }
+    });
+
+    if (req.body.slug !== undefined && !(await applyCustomSlug(post, req.body.slug))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Slug is invalid or already in use'
+      });
+    }
+
+    const current = PostRevision.snapshotOf(post);
+    const changedFields = PostRevision.TRACKED_FIELDS.filter(field =>
+      JSON.stringify(previous[field]) !== JSON.stringify(current[field])
+    );
+
+    await post.save();
+
+    if (changedFields.length > 0) {
+      await PostRevision.record(post._id, previous, changedFields, req.user._id);
+    }
+
+    if (post.status !== previousStatus) {
+      await PostTransition.record(post._id, previousStatus, post.status, req.user._id, req.body.comment);
+    }
+
+    await refreshRelatedPosts(post);
+    scheduleSuggestionRebuild();
+
+    // Populate the post before returning
+    await post.populate('author', 'firstName lastName username avatar');
+    await post.populate('contributors.user', 'firstName lastName username avatar bio');
+    await post.populate('contributors.guest', 'name slug avatar bio links');
+    await post.populate('category', 'name slug color');
+
+    res.json({
+      success: true,
+      message: 'Post updated successfully',
+      data: { post }
+    });
+  } catch (error) {
+    console.error('Update post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating post'
+    });
+  }
+});
+
+// @route   DELETE /api/posts/:id
+// @desc    Delete post
+// @access  Private (Admin)
+router.delete('/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    await Post.findByIdAndDelete(req.params.id);
+    await PostRevision.deleteMany({ post: post._id });
+    await PreviewLink.deleteMany({ post: post._id });
+    await PostTransition.deleteMany({ post: post._id });
+    await Reaction.deleteMany({ post: post._id });
+    await PostDailyStat.deleteMany({ post: post._id });
+    await PostViewMark.deleteMany({ post: post._id });
+    await Series.updateMany({ posts: post._id }, { $pull: { posts: post._id } });
+    await Post.updateMany(
+      { $or: [{ relatedPosts: post._id }, { relatedPinned: post._id }, { relatedExcluded: post._id }] },
+      { $pull: { relatedPosts: post._id, relatedPinned: post._id, relatedExcluded: post._id } },
+      { timestamps: false }
+    );
+    scheduleSuggestionRebuild();
+
+    res.json({
+      success: true,
+      message: 'Post deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting post'
+    });
+  }
+});
+
+// @route   GET /api/posts/:id/revisions
+// @desc    Get revision history for a post
+// @access  Private (Admin)
+router.get('/:id/revisions', auth, adminAuth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select('_id');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const revisions = await PostRevision.find({ post: post._id })
+      .populate('editedBy', 'firstName lastName username avatar')
+      .select('-snapshot')
+      .sort({ createdAt: -1 });
+
+    res.json({
+      success: true,
+      data: { revisions }
+    });
+  } catch (error) {
+    console.error('Get post revisions error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching revisions'
+    });
+  }
+});
+
+// @route   GET /api/posts/:id/revisions/:revId/diff
+// @desc    Diff a revision against the current version of the post
+// @access  Private (Admin)
+router.get('/:id/revisions/:revId/diff', auth, adminAuth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id);
+    const revision = post && await PostRevision.findOne({
+      _id: req.params.revId,
+      post: post._id
+    }).populate('editedBy', 'firstName lastName username avatar');
+
+    if (!post || !revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    // Round-trip through JSON so ObjectIds and dates compare consistently
+    const from = JSON.parse(JSON.stringify(revision.snapshot));
+    const to = JSON.parse(JSON.stringify(PostRevision.snapshotOf(post)));
+
+    res.json({
+      success: true,
+      data: {
+        revision: {
+          _id: revision._id,
+          editedBy: revision.editedBy,
+          changedFields: revision.changedFields,
+          createdAt: revision.createdAt
+        },
+        changes: diffFields(from, to, PostRevision.TRACKED_FIELDS)
+      }
+    });
+  } catch (error) {
+    console.error('Diff post revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while diffing revision'
+    });
+  }
+});
+
+// @route   POST /api/posts/:id/revisions/:revId/restore
+// @desc    Restore a post to a previous revision
+// @access  Private (Admin)
+router.post('/:id/revisions/:revId/restore', auth, adminAuth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select('+toc');
+    const revision = post && await PostRevision.findOne({
+      _id: req.params.revId,
+      post: post._id
+    });
+
+    if (!post || !revision) {
+      return res.status(404).json({
+        success: false,
+        message: 'Revision not found'
+      });
+    }
+
+    // Restoring is itself an update, so keep the version being replaced
+    const previous = PostRevision.snapshotOf(post);
+
+    // Status and the publish time are left alone: they only change through
+    // the workflow and the schedule endpoints
+    PostRevision.TRACKED_FIELDS.forEach(field => {
+      if (!['status', 'scheduledFor'].includes(field) && revision.snapshot[field] !== undefined) {
+        post[field] = revision.snapshot[field];
+      }
+    });
+
+    const current = PostRevision.snapshotOf(post);
+    const changedFields = PostRevision.TRACKED_FIELDS.filter(field =>
+      JSON.stringify(previous[field]) !== JSON.stringify(current[field])
+    );
+
+    await post.save();
+
+    if (changedFields.length > 0) {
+      await PostRevision.record(post._id, previous, changedFields, req.user._id);
+    }
+
+    await refreshRelatedPosts(post);
+    scheduleSuggestionRebuild();
+
+    await post.populate('author', 'firstName lastName username avatar');
+    await post.populate('contributors.user', 'firstName lastName username avatar bio');
+    await post.populate('contributors.guest', 'name slug avatar bio links');
+    await post.populate('category', 'name slug color');
+
+    res.json({
+      success: true,
+      message: 'Post restored successfully',
+      data: { post }
+    });
+  } catch (error) {
+    console.error('Restore post revision error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while restoring revision'
+    });
+  }
+});
+
+// @route   POST /api/posts/:id/preview-link
+// @desc    Create a signed, expiring preview link for a post
+// @access  Private (Admin)
+router.post('/:id/preview-link', [
+  auth,
+  adminAuth,
+  body('expiresInHours')
+    .optional()
+    .isInt({ min: 1, max: 720 })
+    .withMessage('expiresInHours must be between 1 and 720')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const post = await Post.findById(req.params.id).select('_id');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const expiresInHours = parseInt(req.body.expiresInHours) || 72;
+    const link = await PreviewLink.create({
+      post: post._id,
+      createdBy: req.user._id,
+      expiresAt: new Date(Date.now() + expiresInHours * 60 * 60 * 1000)
+    });
+
+    const token = jwt.sign(
+      { type: 'preview', post: post._id.toString(), link: link._id.toString() },
+      previewSecret(),
+      { expiresIn: expiresInHours * 60 * 60 }
+    );
+    const siteUrl = (process.env.SITE_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+    res.status(201).json({
+      success: true,
+      message: 'Preview link created successfully',
+      data: {
+        link,
+        token,
+        url: `${siteUrl}/preview/${token}`
+      }
+    });
+  } catch (error) {
+    console.error('Create preview link error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating preview link'
+    });
+  }
+});
+
+// @route   GET /api/posts/:id/stats
+// @desc    Get a daily view time series (?from=&to=, default last 30 days)
+// @access  Private (Admin)
+router.get('/:id/stats', [
+  auth,
+  adminAuth,
+  query('from')
+    .optional()
+    .isISO8601()
+    .withMessage('from must be a valid date'),
+  query('to')
+    .optional()
+    .isISO8601()
+    .withMessage('to must be a valid date')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const to = req.query.to ? new Date(req.query.to) : new Date();
+    const from = req.query.from
+      ? new Date(req.query.from)
+      : new Date(to.getTime() - 29 * 24 * 60 * 60 * 1000);
+    const days = (PostDailyStat.startOfDay(to) - PostDailyStat.startOfDay(from)) / (24 * 60 * 60 * 1000);
+
+    if (days < 0 || days > 366) {
+      return res.status(400).json({
+        success: false,
+        message: 'Date range must be between 0 and 366 days'
+      });
+    }
+
+    const post = await Post.findById(req.params.id).select('title slug views likes');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    const series = await PostDailyStat.series(post._id, from, to);
+
+    res.json({
+      success: true,
+      data: {
+        post: {
+          _id: post._id,
+          title: post.title,
+          slug: post.slug,
+          views: post.views,
+          likes: post.likes
+        },
+        from: series[0].date,
+        to: series[series.length - 1].date,
+        totalViews: series.reduce((sum, point) => sum + point.views, 0),
+        series
+      }
+    });
+  } catch (error) {
+    console.error('Get post stats error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching post stats'
+    });
+  }
+});
+
+// @route   GET /api/posts/:id/workflow
+// @desc    Get workflow status, allowed transitions and transition history
+// @access  Private (Admin)
+router.get('/:id/workflow', auth, adminAuth, async (req, res) => {
+  try {
+    const post = await Post.findById(req.params.id).select('title slug status scheduledFor');
 
-    // Populate the post before returning
-    await post.populate('author', 'firstName lastName username avatar');
-    await post.populate('category', 'name slug color');
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
 
-    res.status(201).json({
+    const history = await PostTransition.find({ post: post._id })
+      .populate('user', 'firstName lastName username avatar')
+      .sort({ createdAt: -1 });
+
+    res.json({
       success: true,
-      message: 'Post created successfully',
-      data: { post }
+      data: {
+        status: post.status,
+        scheduledFor: post.scheduledFor,
+        allowedTransitions: allowedTransitions(post.status, req.user.role),
+        history
+      }
     });
   } catch (error) {
-    console.error('Create post error:', error);
+    console.error('Get post workflow error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while creating post'
+      message: 'Server error while fetching workflow'
     });
   }
 });
 
-// @route   PUT /api/posts/:id
-// @desc    Update post
+// @route   POST /api/posts/:id/transition
+// @desc    Move a post through the editorial workflow
+//          (submit for review, approve, request changes, publish, ...)
 // @access  Private (Admin)
-router.put('/:id', [
+router.post('/:id/transition', [
   auth,
   adminAuth,
-  body('title')
-    .optional()
-    .trim()
-    .isLength({ max: 200 })
-    .withMessage('Title cannot exceed 200 characters'),
-  body('category')
-    .optional()
-    .isMongoId()
-    .withMessage('Valid category ID is required'),
-  body('tags')
-    .optional()
-    .isArray()
-    .withMessage('Tags must be an array'),
   body('status')
+    .isIn(STATUSES)
+    .withMessage(`Status must be one of: ${STATUSES.join(', ')}`),
+  body('comment')
     .optional()
-    .isIn(['draft', 'published', 'archived'])
-    .withMessage('Status must be one of: draft, published, archived'),
-  body('excerpt')
-    .optional()
-    .isLength({ max: 500 })
-    .withMessage('Excerpt cannot exceed 500 characters')
+    .isString()
+    .isLength({ max: 1000 })
+    .withMessage('Comment cannot exceed 1000 characters')
 ], async (req, res) => {
   try {
     // Check for validation errors
@@ -465,55 +1644,211 @@ router.put('/:id', [
       });
     }
 
-    // Verify category exists if provided
-    if (req.body.category) {
-      const categoryExists = await Category.findById(req.body.category);
-      if (!categoryExists) {
-        return res.status(400).json({
+    const from = post.status;
+    const to = req.body.status;
+
+    const transitionError = validateTransition(from, to, req.user.role, req.body.comment);
+    if (transitionError) {
+      return res.status(403).json({
+        success: false,
+        message: transitionError
+      });
+    }
+
+    if (to === 'scheduled' && !(post.scheduledFor > new Date())) {
+      return res.status(400).json({
+        success: false,
+        message: 'Set a future publish time with PUT /api/posts/:id/schedule'
+      });
+    }
+
+    post.status = to;
+    await post.save();
+
+    const transition = await PostTransition.record(post._id, from, to, req.user._id, req.body.comment);
+    await refreshRelatedPosts(post);
+    scheduleSuggestionRebuild();
+
+    res.json({
+      success: true,
+      message: `Post moved to ${to}`,
+      data: {
+        post: {
+          _id: post._id,
+          title: post.title,
+          slug: post.slug,
+          status: post.status,
+          publishedAt: post.publishedAt,
+          scheduledFor: post.scheduledFor
+        },
+        transition
+      }
+    });
+  } catch (error) {
+    console.error('Post transition error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while changing post status'
+    });
+  }
+});
+
+// @route   PUT /api/posts/:id/schedule
+// @desc    Schedule or reschedule a post for publishing
+// @access  Private (Admin)
+router.put('/:id/schedule', [
+  auth,
+  adminAuth,
+  body('scheduledFor')
+    .isISO8601()
+    .withMessage('scheduledFor must be a valid date')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const scheduledFor = new Date(req.body.scheduledFor);
+    if (scheduledFor <= new Date()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Scheduled time must be in the future'
+      });
+    }
+
+    const existing = await Post.findById(req.params.id).select('status');
+
+    if (!existing) {
+      return res.status(404).json({
+        success: false,
+        message: 'Post not found'
+      });
+    }
+
+    // Rescheduling is always allowed; scheduling must be a valid transition
+    const from = existing.status;
+    if (from !== 'scheduled') {
+      const transitionError = validateTransition(from, 'scheduled', req.user.role);
+      if (transitionError) {
+        return res.status(403).json({
           success: false,
-          message: 'Invalid category'
+          message: transitionError
         });
       }
     }
 
-    // Update post fields
-    const updateFields = [
-      'title', 'content', 'excerpt', 'category', 'tags', 'status',
-      'featuredImage', 'seo', 'contentType', 'scheduledFor',
-      'affiliateLinks', 'adSenseEnabled', 'commentsEnabled'
-    ];
+    // The status condition keeps this from racing with the scheduler
+    const post = await Post.findOneAndUpdate(
+      { _id: req.params.id, status: from },
+      { $set: { status: 'scheduled', scheduledFor } },
+      { new: true }
+    ).select('-content');
 
-    updateFields.forEach(field => {
-      if (req.body[field] !== undefined) {
-        post[field] = req.body[field];
-      }
+    if (!post) {
+      return res.status(409).json({
+        success: false,
+        message: 'Post status changed, please try again'
+      });
+    }
+
+    if (from !== 'scheduled') {
+      await PostTransition.record(post._id, from, 'scheduled', req.user._id, req.body.comment);
+    }
+
+    res.json({
+      success: true,
+      message: 'Post scheduled successfully',
+      data: { post }
+    });
+  } catch (error) {
+    console.error('Schedule post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while scheduling post'
     });
+  }
+});
 
-    await post.save();
+// @route   DELETE /api/posts/:id/schedule
+// @desc    Cancel scheduled publishing (the post returns to approved)
+// @access  Private (Admin)
+router.delete('/:id/schedule', auth, adminAuth, async (req, res) => {
+  try {
+    const transitionError = validateTransition('scheduled', 'approved', req.user.role);
+    if (transitionError) {
+      return res.status(403).json({
+        success: false,
+        message: transitionError
+      });
+    }
 
-    // Populate the post before returning
-    await post.populate('author', 'firstName lastName username avatar');
-    await post.populate('category', 'name slug color');
+    const post = await Post.findOneAndUpdate(
+      { _id: req.params.id, status: 'scheduled' },
+      { $set: { status: 'approved', scheduledFor: null } },
+      { new: true }
+    ).select('-content');
+
+    if (!post) {
+      return res.status(404).json({
+        success: false,
+        message: 'Scheduled post not found'
+      });
+    }
+
+    await PostTransition.record(post._id, 'scheduled', 'approved', req.user._id, 'Schedule cancelled');
 
     res.json({
       success: true,
-      message: 'Post updated successfully',
+      message: 'Scheduled publishing cancelled',
       data: { post }
     });
   } catch (error) {
-    console.error('Update post error:', error);
+    console.error('Cancel schedule error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while updating post'
+      message: 'Server error while cancelling schedule'
     });
   }
 });
 
-// @route   DELETE /api/posts/:id
-// @desc    Delete post
+// @route   PUT /api/posts/:id/related
+// @desc    Pin or exclude related posts (pinned posts lead in the given order)
 // @access  Private (Admin)
-router.delete('/:id', auth, adminAuth, async (req, res) => {
+router.put('/:id/related', [
+  auth,
+  adminAuth,
+  body('pinned')
+    .optional()
+    .isArray({ max: 20 })
+    .withMessage('Pinned must be an array of at most 20 post IDs'),
+  body('pinned.*')
+    .isMongoId()
+    .withMessage('Pinned entries must be valid post IDs'),
+  body('excluded')
+    .optional()
+    .isArray({ max: 100 })
+    .withMessage('Excluded must be an array of at most 100 post IDs'),
+  body('excluded.*')
+    .isMongoId()
+    .withMessage('Excluded entries must be valid post IDs')
+], async (req, res) => {
   try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
     const post = await Post.findById(req.params.id);
 
     if (!post) {
@@ -523,27 +1858,109 @@ router.delete('/:id', auth, adminAuth, async (req, res) => {
       });
     }
 
-    await Post.findByIdAndDelete(req.params.id);
+    const ownId = post._id.toString();
+    const unique = (ids) => [...new Set(ids.map(String))].filter(id => id !== ownId);
+
+    if (req.body.pinned !== undefined) {
+      post.relatedPinned = unique(req.body.pinned);
+    }
+    if (req.body.excluded !== undefined) {
+      post.relatedExcluded = unique(req.body.excluded);
+    }
+
+    // A post can't be both pinned and excluded; the newest instruction wins
+    const pinnedIds = post.relatedPinned.map(String);
+    const excludedIds = post.relatedExcluded.map(String);
+    if (req.body.pinned !== undefined) {
+      post.relatedExcluded = excludedIds.filter(id => !pinnedIds.includes(id));
+    } else {
+      post.relatedPinned = pinnedIds.filter(id => !excludedIds.includes(id));
+    }
+
+    const referenced = [...post.relatedPinned, ...post.relatedExcluded];
+    const existing = await Post.countDocuments({ _id: { $in: referenced } });
+    if (existing !== referenced.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'One or more referenced posts do not exist'
+      });
+    }
+
+    await post.save();
+    await refreshRelatedPosts(post);
+
+    await post.populate('relatedPosts', RELATED_FIELDS);
+    await post.populate('relatedPinned', 'title slug status');
+    await post.populate('relatedExcluded', 'title slug status');
 
     res.json({
       success: true,
-      message: 'Post deleted successfully'
+      message: 'Related posts updated successfully',
+      data: {
+        relatedPosts: post.relatedPosts,
+        relatedPinned: post.relatedPinned,
+        relatedExcluded: post.relatedExcluded
+      }
     });
   } catch (error) {
-    console.error('Delete post error:', error);
+    console.error('Update related posts error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while deleting post'
+      message: 'Server error while updating related posts'
     });
   }
 });
 
+// Toggle a reaction of `type` for the current visitor and send the new counts
+const toggleReaction = async (req, res, type) => {
+  const post = await Post.findOne({ _id: req.params.id, status: 'published' }).select('_id');
+
+  if (!post) {
+    return res.status(404).json({
+      success: false,
+      message: 'Post not found'
+    });
+  }
+
+  const added = await Reaction.toggle(post._id, type, getVisitorKey(req), req.user?._id);
+  const counts = added === null
+    ? await Post.findById(post._id).select('likes reactions')
+    : await Post.adjustReaction(post._id, type, added ? 1 : -1);
+
+  res.json({
+    success: true,
+    message: added === false ? 'Reaction removed' : 'Reaction added',
+    data: {
+      type,
+      reacted: added !== false,
+      likes: counts.likes,
+      reactions: counts.reactions
+    }
+  });
+};
+
 // @route   POST /api/posts/:id/like
 // @desc    Like/unlike a post
 // @access  Public
 router.post('/:id/like', optionalAuth, async (req, res) => {
   try {
-    const post = await Post.findById(req.params.id);
+    await toggleReaction(req, res, 'like');
+  } catch (error) {
+    console.error('Like post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while liking post'
+    });
+  }
+});
+
+// @route   GET /api/posts/:id/reactions
+// @desc    Get reaction counts and which reactions the current visitor made
+// @access  Public
+router.get('/:id/reactions', optionalAuth, async (req, res) => {
+  try {
+    const post = await Post.findOne({ _id: req.params.id, status: 'published' })
+      .select('likes reactions');
 
     if (!post) {
       return res.status(404).json({
@@ -552,18 +1969,58 @@ router.post('/:id/like', optionalAuth, async (req, res) => {
       });
     }
 
-    await post.incrementLikes();
+    const own = await Reaction.find({
+      post: post._id,
+      actor: getVisitorKey(req)
+    }).select('type');
+    const ownTypes = own.map(reaction => reaction.type);
 
     res.json({
       success: true,
-      message: 'Post liked successfully',
-      data: { likes: post.likes + 1 }
+      data: {
+        likes: post.likes,
+        reactions: post.reactions,
+        reacted: Reaction.TYPES.reduce((result, type) => {
+          result[type] = ownTypes.includes(type);
+          return result;
+        }, {})
+      }
     });
   } catch (error) {
-    console.error('Like post error:', error);
+    console.error('Get reactions error:', error);
     res.status(500).json({
       success: false,
-      message: 'Server error while liking post'
+      message: 'Server error while fetching reactions'
+    });
+  }
+});
+
+// @route   POST /api/posts/:id/reactions
+// @desc    Toggle a reaction (like, insightful, funny)
+// @access  Public
+router.post('/:id/reactions', [
+  optionalAuth,
+  body('type')
+    .isIn(Reaction.TYPES)
+    .withMessage(`Reaction type must be one of: ${Reaction.TYPES.join(', ')}`)
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    await toggleReaction(req, res, req.body.type);
+  } catch (error) {
+    console.error('React to post error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while reacting to post'
     });
   }
 });
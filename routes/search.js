@@ -0,0 +1,164 @@
+const express = require('express');
+const { query, validationResult } = require('express-validator');
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const User = require('../models/User');
+const {
+  parseSearchQuery,
+  toTextSearch,
+  buildMatcher,
+  withHighlights
+} = require('../utils/search');
+const { suggest, didYouMean, ensureSuggestionIndex } = require('../utils/suggestions');
+
+const router = express.Router();
+
+// @route   GET /api/search
+// @desc    Search posts, categories and authors in one call
+// @access  Public
+router.get('/', [
+  query('q')
+    .notEmpty()
+    .isString()
+    .withMessage('Search query is required'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 10;
+    const searchQuery = parseSearchQuery(req.query.q);
+    const textSearch = toTextSearch(searchQuery);
+    const matcher = buildMatcher(searchQuery);
+
+    if (!textSearch) {
+      return res.json({
+        success: true,
+        data: { posts: [], categories: [], authors: [] }
+      });
+    }
+
+    // Categories and authors are small collections, so a case-insensitive
+    // match on the (escaped) terms is enough there
+    const nameRegex = matcher ? new RegExp(matcher.source, 'i') : null;
+
+    const [posts, categories, authors] = await Promise.all([
+      Post.find({
+        status: 'published',
+        $text: { $search: textSearch }
+      })
+      .populate('author', 'firstName lastName username avatar')
+      .populate('category', 'name slug color')
+      .select({ score: { $meta: 'textScore' } })
+      .sort({ score: { $meta: 'textScore' }, publishedAt: -1 })
+      .limit(limit),
+      nameRegex ? Category.find({
+        isActive: true,
+        $or: [
+          { name: nameRegex },
+          { description: nameRegex }
+        ]
+      })
+      .select('name slug description color icon postCount')
+      .sort({ postCount: -1, name: 1 })
+      .limit(limit) : [],
+      nameRegex ? User.find({
+        isActive: true,
+        $or: [
+          { username: nameRegex },
+          { firstName: nameRegex },
+          { lastName: nameRegex }
+        ]
+      })
+      .select('firstName lastName username avatar bio')
+      .limit(limit) : []
+    ]);
+
+    // Offer a spelling correction when nothing matched
+    const noHits = posts.length === 0 && categories.length === 0 && authors.length === 0;
+    if (noHits) {
+      await ensureSuggestionIndex();
+    }
+
+    res.json({
+      success: true,
+      data: {
+        didYouMean: noHits ? didYouMean(req.query.q) : null,
+        posts: withHighlights(posts, searchQuery),
+        categories,
+        authors: authors.map(author => ({
+          _id: author._id,
+          username: author.username,
+          fullName: author.fullName,
+          avatar: author.avatar,
+          bio: author.bio
+        }))
+      }
+    });
+  } catch (error) {
+    console.error('Search error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while searching'
+    });
+  }
+});
+
+// @route   GET /api/search/suggest
+// @desc    Type-ahead suggestions for titles, tags and categories
+// @access  Public
+router.get('/suggest', [
+  query('q')
+    .isString()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Query must be between 1 and 100 characters'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 10 })
+    .withMessage('Limit must be between 1 and 10')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const limit = parseInt(req.query.limit) || 5;
+    const suggestions = await suggest(req.query.q, limit);
+    const noHits = suggestions.titles.length === 0 &&
+      suggestions.tags.length === 0 &&
+      suggestions.categories.length === 0;
+
+    res.json({
+      success: true,
+      data: {
+        ...suggestions,
+        didYouMean: noHits ? didYouMean(req.query.q) : null
+      }
+    });
+  } catch (error) {
+    console.error('Search suggest error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching suggestions'
+    });
+  }
+});
+
+module.exports = router;
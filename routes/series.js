@@ -0,0 +1,299 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const Series = require('../models/Series');
+const Post = require('../models/Post');
+const { auth, adminAuth } = require('../middleware/auth');
+const { sendSlugRedirect } = require('../utils/redirects');
+
+const router = express.Router();
+
+// Check a list of post IDs for a series: no duplicates, every post exists
+// and none belongs to another series. Returns an error message or null.
+const checkSeriesPosts = async (postIds, seriesId = null) => {
+  const ids = postIds.map(String);
+  if (new Set(ids).size !== ids.length) {
+    return 'A post can only appear once in a series';
+  }
+
+  const existing = await Post.countDocuments({ _id: { $in: ids } });
+  if (existing !== ids.length) {
+    return 'One or more posts do not exist';
+  }
+
+  const conflict = await Series.findOne({
+    _id: { $ne: seriesId },
+    posts: { $in: ids }
+  }).select('title');
+  if (conflict) {
+    return `One or more posts already belong to the series "${conflict.title}"`;
+  }
+
+  return null;
+};
+
+// @route   GET /api/series
+// @desc    Get all series with their published parts
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const series = await Series.find({})
+      .populate({
+        path: 'posts',
+        select: 'title slug publishedAt',
+        match: { status: 'published' }
+      })
+      .sort({ title: 1 });
+
+    res.json({
+      success: true,
+      data: {
+        series: series.filter(entry => entry.posts.length > 0)
+      }
+    });
+  } catch (error) {
+    console.error('Get series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching series'
+    });
+  }
+});
+
+// @route   GET /api/series/admin
+// @desc    Get all series with every part (including unpublished)
+// @access  Private (Admin)
+router.get('/admin', auth, adminAuth, async (req, res) => {
+  try {
+    const series = await Series.find({})
+      .populate('posts', 'title slug status publishedAt scheduledFor')
+      .sort({ updatedAt: -1 });
+
+    res.json({
+      success: true,
+      data: { series }
+    });
+  } catch (error) {
+    console.error('Get admin series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching series'
+    });
+  }
+});
+
+// @route   GET /api/series/:slug
+// @desc    Get a series with its published parts in order
+// @access  Public
+router.get('/:slug', async (req, res) => {
+  try {
+    const series = await Series.findOne({ slug: req.params.slug })
+      .populate({
+        path: 'posts',
+        select: 'title slug excerpt featuredImage publishedAt readingTime',
+        match: { status: 'published' }
+      });
+
+    if (!series || series.posts.length === 0) {
+      // Old links keep working after a rename
+      const moved = !series && await Series.findOne({
+        previousSlugs: req.params.slug.toLowerCase()
+      }).select('slug');
+
+      if (moved) {
+        return sendSlugRedirect(req, res, moved.slug);
+      }
+
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      data: { series }
+    });
+  } catch (error) {
+    console.error('Get single series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching series'
+    });
+  }
+});
+
+// @route   POST /api/series
+// @desc    Create new series
+// @access  Private (Admin)
+router.post('/', [
+  auth,
+  adminAuth,
+  body('title')
+    .notEmpty()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title is required and cannot exceed 200 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('posts')
+    .optional()
+    .isArray()
+    .withMessage('Posts must be an array of post IDs'),
+  body('posts.*')
+    .isMongoId()
+    .withMessage('Posts must be valid post IDs')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const { title, description, posts } = req.body;
+
+    if (posts) {
+      const postsError = await checkSeriesPosts(posts);
+      if (postsError) {
+        return res.status(400).json({
+          success: false,
+          message: postsError
+        });
+      }
+    }
+
+    const series = new Series({
+      title,
+      description: description || '',
+      posts: posts || []
+    });
+
+    await series.save();
+    await series.populate('posts', 'title slug status publishedAt');
+
+    res.status(201).json({
+      success: true,
+      message: 'Series created successfully',
+      data: { series }
+    });
+  } catch (error) {
+    console.error('Create series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating series'
+    });
+  }
+});
+
+// @route   PUT /api/series/:id
+// @desc    Update series (posts replaces the ordered list of parts)
+// @access  Private (Admin)
+router.put('/:id', [
+  auth,
+  adminAuth,
+  body('title')
+    .optional()
+    .notEmpty()
+    .trim()
+    .isLength({ max: 200 })
+    .withMessage('Title cannot be empty or exceed 200 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage('Description cannot exceed 1000 characters'),
+  body('posts')
+    .optional()
+    .isArray()
+    .withMessage('Posts must be an array of post IDs'),
+  body('posts.*')
+    .isMongoId()
+    .withMessage('Posts must be valid post IDs')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const series = await Series.findById(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    if (req.body.posts !== undefined) {
+      const postsError = await checkSeriesPosts(req.body.posts, series._id);
+      if (postsError) {
+        return res.status(400).json({
+          success: false,
+          message: postsError
+        });
+      }
+    }
+
+    // Update series fields
+    ['title', 'description', 'posts'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        series[field] = req.body[field];
+      }
+    });
+
+    await series.save();
+    await series.populate('posts', 'title slug status publishedAt');
+
+    res.json({
+      success: true,
+      message: 'Series updated successfully',
+      data: { series }
+    });
+  } catch (error) {
+    console.error('Update series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating series'
+    });
+  }
+});
+
+// @route   DELETE /api/series/:id
+// @desc    Delete series (its posts are kept)
+// @access  Private (Admin)
+router.delete('/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const series = await Series.findByIdAndDelete(req.params.id);
+
+    if (!series) {
+      return res.status(404).json({
+        success: false,
+        message: 'Series not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Series deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete series error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting series'
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,106 @@
+const express = require('express');
+const {
+  SITEMAP_URL_LIMIT,
+  renderUrlset,
+  renderIndex,
+  countUrls,
+  loadAllUrls,
+  loadPage
+} = require('../utils/sitemap');
+
+const router = express.Router();
+
+const apiBase = (req) => `${req.protocol}://${req.get('host')}`;
+
+// @route   GET /sitemap.xml
+// @desc    Sitemap (a sitemap index once the site exceeds 50k URLs)
+// @access  Public
+router.get('/sitemap.xml', async (req, res) => {
+  try {
+    const counts = await countUrls();
+    const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+
+    res.set({
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Cache-Control': 'public, max-age=3600'
+    });
+
+    if (total <= SITEMAP_URL_LIMIT) {
+      return res.send(renderUrlset(await loadAllUrls()));
+    }
+
+    const sitemaps = [];
+    Object.entries(counts).forEach(([name, count]) => {
+      const pages = Math.ceil(count / SITEMAP_URL_LIMIT);
+      for (let page = 1; page <= pages; page++) {
+        sitemaps.push({ loc: `${apiBase(req)}/sitemaps/${name}-${page}.xml` });
+      }
+    });
+
+    res.send(renderIndex(sitemaps));
+  } catch (error) {
+    console.error('Get sitemap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating sitemap'
+    });
+  }
+});
+
+// @route   GET /sitemaps/:name-:page.xml
+// @desc    Sub-sitemap for posts, categories, tags or authors
+// @access  Public
+router.get('/sitemaps/:name-:page.xml', async (req, res) => {
+  try {
+    const page = parseInt(req.params.page);
+    const urls = page >= 1 ? await loadPage(req.params.name, page) : null;
+
+    if (!urls || (urls.length === 0 && page > 1)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Sitemap not found'
+      });
+    }
+
+    res.set({
+      'Content-Type': 'application/xml; charset=utf-8',
+      'Cache-Control': 'public, max-age=3600'
+    });
+    res.send(renderUrlset(urls));
+  } catch (error) {
+    console.error('Get sub-sitemap error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while generating sitemap'
+    });
+  }
+});
+
+// @route   GET /robots.txt
+// @desc    robots.txt referencing the sitemap
+// @access  Public
+//
+// ROBOTS_DISALLOW is a comma-separated list of paths to disallow
+// (default "/admin,/api/"); ROBOTS_DISALLOW_ALL=true blocks all crawling,
+// e.g. for staging deployments.
+router.get('/robots.txt', (req, res) => {
+  const disallow = process.env.ROBOTS_DISALLOW_ALL === 'true'
+    ? ['/']
+    : (process.env.ROBOTS_DISALLOW || '/admin,/api/')
+      .split(',')
+      .map(path => path.trim())
+      .filter(Boolean);
+
+  const lines = [
+    'User-agent: *',
+    ...disallow.map(path => `Disallow: ${path}`),
+    ...(disallow.length === 0 ? ['Allow: /'] : []),
+    '',
+    `Sitemap: ${apiBase(req)}/sitemap.xml`,
+    ''
+  ];
+
+  res.type('text/plain').send(lines.join('\n'));
+});
+
+module.exports = router;
@@ -0,0 +1,553 @@
+const express = require('express');
+const { body, query, validationResult } = require('express-validator');
+const Tag = require('../models/Tag');
+const Post = require('../models/Post');
+const { auth, adminAuth } = require('../middleware/auth');
+const { scheduleSuggestionRebuild } = require('../utils/suggestions');
+const { sendSlugRedirect } = require('../utils/redirects');
+
+const router = express.Router();
+
+const normalizeTag = (value) => String(value).trim().toLowerCase();
+
+// Find another registered tag already using any of `names` as its name or
+// a synonym (tags in `excludeIds` are ignored)
+const findTagConflict = (names, excludeIds = []) => {
+  return Tag.findOne({
+    _id: { $nin: [].concat(excludeIds) },
+    $or: [{ name: { $in: names } }, { synonyms: { $in: names } }]
+  }).select('name');
+};
+
+// Attach published post counts to registered tags
+const withPostCounts = async (tags) => {
+  const counts = await Post.aggregate([
+    { $match: { status: 'published', tags: { $in: tags.map(tag => tag.name) } } },
+    { $unwind: '$tags' },
+    { $group: { _id: '$tags', count: { $sum: 1 } } }
+  ]);
+  const countByName = new Map(counts.map(entry => [entry._id, entry.count]));
+
+  return tags.map(tag => ({
+    ...tag.toJSON(),
+    postCount: countByName.get(tag.name) || 0
+  }));
+};
+
+// @route   GET /api/tags
+// @desc    Get tags in use with post counts (registered details included)
+// @access  Public
+router.get('/', [
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 500 })
+    .withMessage('Limit must be between 1 and 500')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const counts = await Post.findTagCounts(parseInt(req.query.limit) || 100);
+    const registered = await Tag.find({ name: { $in: counts.map(tag => tag.name) } })
+      .select('name slug description');
+    const tagsByName = new Map(registered.map(tag => [tag.name, tag]));
+
+    const tags = counts.map(entry => {
+      const tag = tagsByName.get(entry.name);
+      return {
+        name: entry.name,
+        slug: tag ? tag.slug : null,
+        description: tag ? tag.description : '',
+        count: entry.count
+      };
+    });
+
+    res.json({
+      success: true,
+      data: { tags }
+    });
+  } catch (error) {
+    console.error('Get tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tags'
+    });
+  }
+});
+
+// @route   GET /api/tags/admin
+// @desc    Get all registered tags with post counts
+// @access  Private (Admin)
+router.get('/admin', auth, adminAuth, async (req, res) => {
+  try {
+    const tags = await Tag.find({}).sort({ name: 1 });
+
+    res.json({
+      success: true,
+      data: { tags: await withPostCounts(tags) }
+    });
+  } catch (error) {
+    console.error('Get admin tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tags'
+    });
+  }
+});
+
+// @route   GET /api/tags/:slug
+// @desc    Tag landing page with paginated published posts. Synonyms and
+//          old slugs redirect to the tag's slug; unregistered tags are
+//          looked up by name.
+// @access  Public
+router.get('/:slug', [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer'),
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const page = parseInt(req.query.page) || 1;
+    const limit = parseInt(req.query.limit) || 10;
+    const skip = (page - 1) * limit;
+    const value = normalizeTag(req.params.slug);
+
+    let tag = await Tag.findOne({ slug: value });
+
+    if (!tag) {
+      const moved = await Tag.findOne({
+        $or: [{ name: value }, { synonyms: value }, { previousSlugs: value }]
+      }).select('slug');
+
+      if (moved) {
+        return sendSlugRedirect(req, res, moved.slug);
+      }
+    }
+
+    const name = tag ? tag.name : value;
+    const filter = { status: 'published', tags: name };
+
+    const total = await Post.countDocuments(filter);
+    if (!tag && total === 0) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const posts = await Post.find(filter)
+      .populate('author', 'firstName lastName username avatar')
+      .populate('contributors.user', 'firstName lastName username avatar bio')
+      .populate('contributors.guest', 'name slug avatar bio links')
+      .populate('category', 'name slug color')
+      .select('-content')
+      .sort({ publishedAt: -1 })
+      .skip(skip)
+      .limit(limit);
+
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        tag: tag || {
+          name,
+          slug: null,
+          description: '',
+          synonyms: [],
+          seo: {}
+        },
+        posts,
+        pagination: {
+          currentPage: page,
+          totalPages,
+          totalPosts: total,
+          hasNextPage: page < totalPages,
+          hasPrevPage: page > 1,
+          limit
+        }
+      }
+    });
+  } catch (error) {
+    console.error('Get tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while fetching tag'
+    });
+  }
+});
+
+// @route   POST /api/tags
+// @desc    Register a tag (posts using its synonyms are retagged)
+// @access  Private (Admin)
+router.post('/', [
+  auth,
+  adminAuth,
+  body('name')
+    .notEmpty()
+    .trim()
+    .isLength({ max: 50 })
+    .withMessage('Tag name is required and cannot exceed 50 characters'),
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('synonyms')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Synonyms must be an array of at most 50 names'),
+  body('synonyms.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .isLength({ max: 50 })
+    .withMessage('Synonyms must be non-empty names of at most 50 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const name = normalizeTag(req.body.name);
+    const synonyms = (req.body.synonyms || []).map(normalizeTag);
+
+    const conflict = await findTagConflict([name, ...synonyms]);
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        message: `"${conflict.name}" already uses this name or one of these synonyms`
+      });
+    }
+
+    const tag = new Tag({
+      name,
+      description: req.body.description || '',
+      synonyms,
+      seo: req.body.seo || {}
+    });
+
+    await tag.save();
+    const retagged = await Tag.rewritePostTags(tag.synonyms, tag.name);
+    if (retagged > 0) {
+      scheduleSuggestionRebuild();
+    }
+
+    res.status(201).json({
+      success: true,
+      message: 'Tag created successfully',
+      data: { tag, retaggedPosts: retagged }
+    });
+  } catch (error) {
+    console.error('Create tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while creating tag'
+    });
+  }
+});
+
+// @route   POST /api/tags/merge
+// @desc    Merge tags into a target tag (sources become its synonyms)
+// @access  Private (Admin)
+router.post('/merge', [
+  auth,
+  adminAuth,
+  body('sources')
+    .isArray({ min: 1, max: 50 })
+    .withMessage('Sources must be an array of 1 to 50 tag names'),
+  body('sources.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .withMessage('Sources must be tag names'),
+  body('target')
+    .isString()
+    .trim()
+    .notEmpty()
+    .isLength({ max: 50 })
+    .withMessage('Target tag name is required and cannot exceed 50 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const targetName = normalizeTag(req.body.target);
+    const sourceNames = [...new Set(req.body.sources.map(normalizeTag))]
+      .filter(source => source !== targetName);
+
+    if (sourceNames.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Nothing to merge: every source is the target'
+      });
+    }
+
+    // The target may itself be a synonym of a registered tag
+    const target = await Tag.findOne({ $or: [{ name: targetName }, { synonyms: targetName }] }) ||
+      new Tag({ name: targetName });
+
+    if (sourceNames.includes(target.name)) {
+      return res.status(400).json({
+        success: false,
+        message: `"${targetName}" is a synonym of "${target.name}", which is also a source`
+      });
+    }
+
+    // Registered sources hand over their synonyms and are removed
+    const sourceTags = await Tag.find({ name: { $in: sourceNames } });
+    const mergedNames = [
+      ...sourceNames,
+      ...sourceTags.flatMap(tag => tag.synonyms)
+    ];
+
+    // The merged names must not belong to any tag outside this merge
+    const sourceIds = sourceTags.map(tag => tag._id);
+    const conflict = await findTagConflict(mergedNames, [target._id, ...sourceIds]);
+    if (conflict) {
+      return res.status(400).json({
+        success: false,
+        message: `"${conflict.name}" already uses one of the merged names`
+      });
+    }
+
+    target.synonyms = [...target.synonyms, ...mergedNames];
+    if (!target.description) {
+      const described = sourceTags.find(tag => tag.description);
+      if (described) target.description = described.description;
+    }
+
+    // Save the target before anything is removed, and delete the sources
+    // last, so a failure part-way leaves every name resolvable and the
+    // merge can simply be retried
+    await target.save();
+    const retagged = await Tag.rewritePostTags(mergedNames, target.name);
+    await Tag.deleteMany({ _id: { $in: sourceIds } });
+
+    scheduleSuggestionRebuild();
+
+    res.json({
+      success: true,
+      message: `Merged ${sourceNames.length} tag(s) into "${target.name}"`,
+      data: { tag: target, retaggedPosts: retagged }
+    });
+  } catch (error) {
+    console.error('Merge tags error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while merging tags'
+    });
+  }
+});
+
+// @route   PUT /api/tags/:id
+// @desc    Update tag description, synonyms or SEO fields
+// @access  Private (Admin)
+router.put('/:id', [
+  auth,
+  adminAuth,
+  body('description')
+    .optional()
+    .isLength({ max: 500 })
+    .withMessage('Description cannot exceed 500 characters'),
+  body('synonyms')
+    .optional()
+    .isArray({ max: 50 })
+    .withMessage('Synonyms must be an array of at most 50 names'),
+  body('synonyms.*')
+    .isString()
+    .trim()
+    .notEmpty()
+    .isLength({ max: 50 })
+    .withMessage('Synonyms must be non-empty names of at most 50 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tag = await Tag.findById(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    if (req.body.synonyms !== undefined) {
+      const synonyms = req.body.synonyms.map(normalizeTag);
+      const conflict = await findTagConflict(synonyms, tag._id);
+      if (conflict) {
+        return res.status(400).json({
+          success: false,
+          message: `"${conflict.name}" already uses one of these synonyms`
+        });
+      }
+      tag.synonyms = synonyms;
+    }
+
+    ['description', 'seo'].forEach(field => {
+      if (req.body[field] !== undefined) {
+        tag[field] = req.body[field];
+      }
+    });
+
+    await tag.save();
+    const retagged = await Tag.rewritePostTags(tag.synonyms, tag.name);
+    if (retagged > 0) {
+      scheduleSuggestionRebuild();
+    }
+
+    res.json({
+      success: true,
+      message: 'Tag updated successfully',
+      data: { tag, retaggedPosts: retagged }
+    });
+  } catch (error) {
+    console.error('Update tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while updating tag'
+    });
+  }
+});
+
+// @route   POST /api/tags/:id/rename
+// @desc    Rename a tag on every post (the old name becomes a synonym)
+// @access  Private (Admin)
+router.post('/:id/rename', [
+  auth,
+  adminAuth,
+  body('name')
+    .isString()
+    .trim()
+    .notEmpty()
+    .isLength({ max: 50 })
+    .withMessage('Tag name is required and cannot exceed 50 characters')
+], async (req, res) => {
+  try {
+    // Check for validation errors
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({
+        success: false,
+        message: 'Validation failed',
+        errors: errors.array()
+      });
+    }
+
+    const tag = await Tag.findById(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    const name = normalizeTag(req.body.name);
+    if (name === tag.name) {
+      return res.status(400).json({
+        success: false,
+        message: 'The tag already has this name'
+      });
+    }
+
+    const conflict = await findTagConflict([name], tag._id);
+    if (conflict) {
+      return res.status(409).json({
+        success: false,
+        message: `"${conflict.name}" already uses this name; merge the tags instead`
+      });
+    }
+
+    const previousName = tag.name;
+    tag.name = name;
+    tag.synonyms = [...tag.synonyms.filter(synonym => synonym !== name), previousName];
+    await tag.save();
+
+    const retagged = await Tag.rewritePostTags([previousName], name);
+    scheduleSuggestionRebuild();
+
+    res.json({
+      success: true,
+      message: `Renamed "${previousName}" to "${name}"`,
+      data: { tag, retaggedPosts: retagged }
+    });
+  } catch (error) {
+    console.error('Rename tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while renaming tag'
+    });
+  }
+});
+
+// @route   DELETE /api/tags/:id
+// @desc    Remove a tag from the registry (posts keep the tag name)
+// @access  Private (Admin)
+router.delete('/:id', auth, adminAuth, async (req, res) => {
+  try {
+    const tag = await Tag.findByIdAndDelete(req.params.id);
+
+    if (!tag) {
+      return res.status(404).json({
+        success: false,
+        message: 'Tag not found'
+      });
+    }
+
+    res.json({
+      success: true,
+      message: 'Tag deleted successfully'
+    });
+  } catch (error) {
+    console.error('Delete tag error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Server error while deleting tag'
+    });
+  }
+});
+
+module.exports = router;
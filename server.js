@@ -6,9 +6,16 @@ const morgan = require('morgan');
 const rateLimit = require('express-rate-limit');
 const path = require('path');
 require('dotenv').config();
+const { startJobs } = require('./jobs');
 
 const app = express();
 
+// 🌍 Behind a proxy (e.g. Render), trust it so req.ip is the client address
+if (process.env.TRUST_PROXY) {
+  const trustProxy = process.env.TRUST_PROXY;
+  app.set('trust proxy', trustProxy === 'true' ? true : parseInt(trustProxy) || trustProxy);
+}
+
 // 🔐 Security middleware
 app.use(helmet());
 
@@ -16,7 +23,9 @@ app.use(helmet());
 const limiter = rateLimit({
   windowMs: 15 * 60 * 1000,
   max: 100,
-  message: 'Too many requests from this IP, please try again later.'
+  message: 'Too many requests from this IP, please try again later.',
+  // Analytics beacons have their own limiter
+  skip: (req) => req.path === '/analytics/events'
 });
 app.use('/api/', limiter);
 
@@ -49,7 +58,14 @@ mongoose.connect(process.env.MONGODB_URI, {
   useNewUrlParser: true,
   useUnifiedTopology: true
 })
-.then(() => console.log('✅ MongoDB connected successfully'))
+.then(() => {
+  console.log('✅ MongoDB connected successfully');
+
+  // ⏰ Background jobs (scheduled publishing, etc.)
+  if (process.env.DISABLE_JOBS !== 'true') {
+    startJobs();
+  }
+})
 .catch(err => console.error('❌ MongoDB connection error:', err));
 
 // ✅ Mount Routes
@@ -59,6 +75,17 @@ app.use('/api/categories', require('./routes/categories'));
 app.use('/api/upload', require('./routes/upload'));
 app.use('/api/contact', require('./routes/contact'));
 app.use('/api/comments', require('./routes/comments'));
+app.use('/api/search', require('./routes/search'));
+app.use('/api/feeds', require('./routes/feeds'));
+app.use('/api/analytics', require('./routes/analytics'));
+app.use('/api/series', require('./routes/series'));
+app.use('/api/guest-authors', require('./routes/guestAuthors'));
+app.use('/api/authors', require('./routes/authors'));
+app.use('/api/tags', require('./routes/tags'));
+app.use('/api/admin', require('./routes/admin'));
+
+// 🗺 Sitemap & robots.txt
+app.use('/', require('./routes/sitemap'));
 
 // 🩺 Health Check
 app.get('/api/health', (req, res) => {
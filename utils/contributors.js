@@ -0,0 +1,81 @@
+// Helpers for post credits (Post.contributors): validating submitted
+// contributor lists and flattening populated entries for feeds and
+// structured data.
+
+const User = require('../models/User');
+const GuestAuthor = require('../models/GuestAuthor');
+
+// Check a submitted contributors list. Every entry must name exactly one
+// active user or existing guest profile, and nobody may be credited twice
+// with the same role. Returns an error message or null.
+const checkContributors = async (contributors) => {
+  const seen = new Set();
+  for (const entry of contributors) {
+    if (!entry.user === !entry.guest) {
+      return 'Each contributor must be either a user or a guest profile';
+    }
+
+    const key = `${entry.user ? `user:${entry.user}` : `guest:${entry.guest}`}:${entry.role || 'author'}`;
+    if (seen.has(key)) {
+      return 'A contributor can only be credited once per role';
+    }
+    seen.add(key);
+  }
+
+  const userIds = [...new Set(contributors.filter(entry => entry.user).map(entry => String(entry.user)))];
+  const guestIds = [...new Set(contributors.filter(entry => entry.guest).map(entry => String(entry.guest)))];
+
+  const [users, guests] = await Promise.all([
+    User.countDocuments({ _id: { $in: userIds }, isActive: true }),
+    GuestAuthor.countDocuments({ _id: { $in: guestIds } })
+  ]);
+
+  if (users !== userIds.length) {
+    return 'One or more contributor users do not exist';
+  }
+  if (guests !== guestIds.length) {
+    return 'One or more guest profiles do not exist';
+  }
+
+  return null;
+};
+
+// Flatten a post's populated contributors into display credits, falling
+// back to the author for posts without any
+const creditsOf = (post) => {
+  const entries = post.contributors && post.contributors.length > 0
+    ? post.contributors
+    : [{ user: post.author, role: 'author' }];
+
+  return entries
+    .map(entry => {
+      if (entry.user && entry.user.username) {
+        return {
+          type: 'user',
+          role: entry.role,
+          name: `${entry.user.firstName} ${entry.user.lastName}`,
+          username: entry.user.username,
+          avatar: entry.user.avatar || null,
+          url: `/author/${entry.user.username}`
+        };
+      }
+      if (entry.guest && entry.guest.name) {
+        return {
+          type: 'guest',
+          role: entry.role,
+          name: entry.guest.name,
+          slug: entry.guest.slug,
+          avatar: entry.guest.avatar || null,
+          url: entry.guest.links && entry.guest.links.length > 0 ? entry.guest.links[0].url : null
+        };
+      }
+      // Not populated (or the referenced profile is gone)
+      return null;
+    })
+    .filter(Boolean);
+};
+
+module.exports = {
+  checkContributors,
+  creditsOf
+};
@@ -0,0 +1,99 @@
+// Largest LCS table (in cells) diffLines will allocate, ~16MB
+const MAX_DIFF_CELLS = 4 * 1000 * 1000;
+
+// Line-level diff based on the longest common subsequence.
+// Returns an array of { type: 'equal' | 'added' | 'removed', line } entries
+// describing how to turn `oldText` into `newText`.
+const diffLines = (oldText = '', newText = '') => {
+  const a = String(oldText).split('\n');
+  const b = String(newText).split('\n');
+
+  // Skip the common prefix and suffix so the LCS table only covers the
+  // region that actually changed
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+  }
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const rows = midA.length + 1;
+  const cols = midB.length + 1;
+
+  // lcs[i * cols + j] = LCS length of midA[i..] and midB[j..]. Changed
+  // regions too large for the table are reported as replaced wholesale
+  // (every old line removed, then every new line added).
+  const lcs = rows * cols <= MAX_DIFF_CELLS ? new Uint32Array(rows * cols) : null;
+  if (lcs) {
+    for (let i = midA.length - 1; i >= 0; i--) {
+      for (let j = midB.length - 1; j >= 0; j--) {
+        lcs[i * cols + j] = midA[i] === midB[j]
+          ? lcs[(i + 1) * cols + j + 1] + 1
+          : Math.max(lcs[(i + 1) * cols + j], lcs[i * cols + j + 1]);
+      }
+    }
+  }
+
+  const result = a.slice(0, start).map(line => ({ type: 'equal', line }));
+
+  let i = 0;
+  let j = 0;
+  while (lcs && i < midA.length && j < midB.length) {
+    if (midA[i] === midB[j]) {
+      result.push({ type: 'equal', line: midA[i] });
+      i++;
+      j++;
+    } else if (lcs[(i + 1) * cols + j] >= lcs[i * cols + j + 1]) {
+      result.push({ type: 'removed', line: midA[i] });
+      i++;
+    } else {
+      result.push({ type: 'added', line: midB[j] });
+      j++;
+    }
+  }
+  while (i < midA.length) {
+    result.push({ type: 'removed', line: midA[i++] });
+  }
+  while (j < midB.length) {
+    result.push({ type: 'added', line: midB[j++] });
+  }
+
+  a.slice(endA).forEach(line => result.push({ type: 'equal', line }));
+
+  return result;
+};
+
+// Field-by-field diff of two plain objects.
+// String fields get a line-level diff, everything else is reported as
+// from/to values. Fields that are equal are omitted.
+const diffFields = (fromObj = {}, toObj = {}, fields = Object.keys(toObj)) => {
+  return fields.reduce((changes, field) => {
+    const from = fromObj[field] === undefined ? null : fromObj[field];
+    const to = toObj[field] === undefined ? null : toObj[field];
+
+    if (JSON.stringify(from) === JSON.stringify(to)) {
+      return changes;
+    }
+
+    const isText = (value) => value === null || typeof value === 'string';
+    if (isText(from) && isText(to)) {
+      changes.push({ field, lines: diffLines(from || '', to || '') });
+    } else {
+      changes.push({ field, from, to });
+    }
+
+    return changes;
+  }, []);
+};
+
+module.exports = {
+  diffLines,
+  diffFields
+};
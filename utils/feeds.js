@@ -0,0 +1,230 @@
+// RSS 2.0, Atom 1.0 and JSON Feed 1.1 generation for published posts.
+//
+// Configuration (environment):
+//   SITE_URL          public frontend URL used for item links
+//   SITE_TITLE        feed title prefix
+//   SITE_DESCRIPTION  feed description
+//   FEED_CONTENT      'excerpt' (default) or 'full' item content
+//   FEED_ITEM_LIMIT   number of items per feed (default 20)
+
+const crypto = require('crypto');
+const path = require('path');
+const Post = require('../models/Post');
+const { renderContent } = require('./render');
+const { creditsOf } = require('./contributors');
+
+const FORMATS = {
+  rss: 'application/rss+xml; charset=utf-8',
+  atom: 'application/atom+xml; charset=utf-8',
+  json: 'application/feed+json; charset=utf-8'
+};
+
+const IMAGE_TYPES = {
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+const siteUrl = () => (process.env.SITE_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const escapeXml = (value = '') => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&apos;');
+
+// Wrap markup in CDATA, splitting any "]]>" it contains
+const cdata = (value = '') => `<![CDATA[${String(value).replace(/]]>/g, ']]]]><![CDATA[>')}]]>`;
+
+// Make a possibly relative URL absolute against `base`
+const absoluteUrl = (url, base) => {
+  if (!url) return null;
+  return /^https?:\/\//i.test(url) ? url : `${base}${url.startsWith('/') ? '' : '/'}${url}`;
+};
+
+// Convert a post document into a format-neutral feed item
+const toFeedItem = (post, { apiBase, fullContent }) => {
+  const link = post.seo?.canonicalUrl || `${siteUrl()}${post.url}`;
+  const image = absoluteUrl(post.featuredImage?.url, apiBase);
+
+  // Authors are credited as creators; other roles as contributors
+  const credits = creditsOf(post).map(credit => ({
+    name: credit.name,
+    role: credit.role,
+    url: absoluteUrl(credit.url, siteUrl()),
+    avatar: absoluteUrl(credit.avatar, apiBase)
+  }));
+  const authors = credits.filter(credit => credit.role === 'author');
+
+  return {
+    id: link,
+    title: post.title,
+    link,
+    summary: post.excerpt || '',
+    content: fullContent
+      ? post.renderedHtml || renderContent(post.content, post.contentType)
+      : null,
+    publishedAt: post.publishedAt || post.createdAt,
+    updatedAt: post.updatedAt || post.publishedAt || post.createdAt,
+    authors: authors.length > 0 ? authors : credits,
+    contributors: authors.length > 0 ? credits.filter(credit => credit.role !== 'author') : [],
+    categories: [
+      ...(post.category?.name ? [post.category.name] : []),
+      ...(post.tags || [])
+    ],
+    image: image ? {
+      url: image,
+      type: IMAGE_TYPES[path.extname(image.split('?')[0]).toLowerCase()] || 'image/jpeg'
+    } : null
+  };
+};
+
+const buildRss = (feed, items) => {
+  const entries = items.map(item => `    <item>
+      <title>${escapeXml(item.title)}</title>
+      <link>${escapeXml(item.link)}</link>
+      <guid isPermaLink="true">${escapeXml(item.id)}</guid>
+      <pubDate>${new Date(item.publishedAt).toUTCString()}</pubDate>
+${item.authors.map(author => `      <dc:creator>${escapeXml(author.name)}</dc:creator>\n`).join('')}\
+${item.contributors.map(contributor => `      <dc:contributor>${escapeXml(contributor.name)}</dc:contributor>\n`).join('')}\
+${item.categories.map(name => `      <category>${escapeXml(name)}</category>\n`).join('')}\
+      <description>${cdata(item.summary)}</description>
+${item.content ? `      <content:encoded>${cdata(item.content)}</content:encoded>\n` : ''}\
+${item.image ? `      <enclosure url="${escapeXml(item.image.url)}" length="0" type="${item.image.type}"/>\n` : ''}\
+    </item>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:content="http://purl.org/rss/1.0/modules/content/" xmlns:dc="http://purl.org/dc/elements/1.1/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${escapeXml(feed.link)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en</language>
+    <lastBuildDate>${feed.updatedAt.toUTCString()}</lastBuildDate>
+    <atom:link href="${escapeXml(feed.selfUrl)}" rel="self" type="application/rss+xml"/>
+${entries}
+  </channel>
+</rss>
+`;
+};
+
+const atomPerson = (person) => `<name>${escapeXml(person.name)}</name>${person.url ? `<uri>${escapeXml(person.url)}</uri>` : ''}`;
+
+const buildAtom = (feed, items) => {
+  const entries = items.map(item => `  <entry>
+    <title>${escapeXml(item.title)}</title>
+    <link rel="alternate" type="text/html" href="${escapeXml(item.link)}"/>
+    <id>${escapeXml(item.id)}</id>
+    <published>${new Date(item.publishedAt).toISOString()}</published>
+    <updated>${new Date(item.updatedAt).toISOString()}</updated>
+${item.authors.map(author => `    <author>${atomPerson(author)}</author>\n`).join('')}\
+${item.contributors.map(contributor => `    <contributor>${atomPerson(contributor)}</contributor>\n`).join('')}\
+${item.categories.map(name => `    <category term="${escapeXml(name)}"/>\n`).join('')}\
+    <summary type="html">${escapeXml(item.summary)}</summary>
+${item.content ? `    <content type="html">${escapeXml(item.content)}</content>\n` : ''}\
+${item.image ? `    <link rel="enclosure" type="${item.image.type}" href="${escapeXml(item.image.url)}"/>\n` : ''}\
+  </entry>`).join('\n');
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link rel="alternate" type="text/html" href="${escapeXml(feed.link)}"/>
+  <link rel="self" type="application/atom+xml" href="${escapeXml(feed.selfUrl)}"/>
+  <id>${escapeXml(feed.link)}</id>
+  <updated>${feed.updatedAt.toISOString()}</updated>
+${entries}
+</feed>
+`;
+};
+
+const buildJsonFeed = (feed, items) => JSON.stringify({
+  version: 'https://jsonfeed.org/version/1.1',
+  title: feed.title,
+  home_page_url: feed.link,
+  feed_url: feed.selfUrl,
+  description: feed.description,
+  items: items.map(item => ({
+    id: item.id,
+    url: item.link,
+    title: item.title,
+    summary: item.summary,
+    ...(item.content ? { content_html: item.content } : { content_text: item.summary }),
+    date_published: new Date(item.publishedAt).toISOString(),
+    date_modified: new Date(item.updatedAt).toISOString(),
+    ...(item.authors.length > 0 ? {
+      authors: item.authors.map(author => ({
+        name: author.name,
+        ...(author.url ? { url: author.url } : {}),
+        ...(author.avatar ? { avatar: author.avatar } : {})
+      }))
+    } : {}),
+    tags: item.categories,
+    ...(item.image ? {
+      image: item.image.url,
+      attachments: [{ url: item.image.url, mime_type: item.image.type }]
+    } : {})
+  }))
+}, null, 2);
+
+const BUILDERS = {
+  rss: buildRss,
+  atom: buildAtom,
+  json: buildJsonFeed
+};
+
+// Load published posts matching `filter` and send them as a feed in the
+// requested format. Sets ETag/Last-Modified and answers conditional
+// requests with 304 before rendering the body.
+const sendFeed = async (req, res, { format = 'rss', filter = {}, title, description, link }) => {
+  const limit = parseInt(process.env.FEED_ITEM_LIMIT) || 20;
+  const fullContent = process.env.FEED_CONTENT === 'full';
+  const apiBase = `${req.protocol}://${req.get('host')}`;
+
+  const posts = await Post.findPublished(filter)
+    .select(fullContent ? '+renderedHtml' : '')
+    .limit(limit);
+
+  const updatedAt = posts.reduce((latest, post) => {
+    const date = post.updatedAt || post.publishedAt;
+    return date && date > latest ? date : latest;
+  }, new Date(0));
+
+  // Cheap validator derived from the items, computed before rendering
+  const etag = `W/"${crypto.createHash('sha1')
+    .update([format, fullContent, ...posts.map(post => `${post._id}:${(post.updatedAt || 0).valueOf()}`)].join('|'))
+    .digest('hex')}"`;
+
+  res.set({
+    'Content-Type': FORMATS[format],
+    'Cache-Control': 'public, max-age=300',
+    ETag: etag,
+    'Last-Modified': (posts.length > 0 ? updatedAt : new Date()).toUTCString()
+  });
+
+  if (req.fresh) {
+    return res.status(304).end();
+  }
+
+  const feed = {
+    title: title ? `${process.env.SITE_TITLE || 'Tech Blog'} - ${title}` : (process.env.SITE_TITLE || 'Tech Blog'),
+    description: description || process.env.SITE_DESCRIPTION || 'Latest posts from Tech Blog',
+    link: `${siteUrl()}${link || ''}`,
+    selfUrl: `${apiBase}${req.originalUrl}`,
+    updatedAt: posts.length > 0 ? updatedAt : new Date()
+  };
+
+  const items = posts.map(post => toFeedItem(post, { apiBase, fullContent }));
+  res.send(BUILDERS[format](feed, items));
+};
+
+module.exports = {
+  FORMATS,
+  siteUrl,
+  escapeXml,
+  absoluteUrl,
+  sendFeed
+};
@@ -0,0 +1,100 @@
+// Keyset (cursor) pagination helpers.
+//
+// A cursor records the sort-key values and _id of the last document on a
+// page, so the next page starts strictly after it no matter what was
+// inserted or removed in the meantime. Cursors are opaque base64url JSON
+// and are tied to the sort they were issued for. Sort fields are expected
+// to be set on every document in the listing.
+
+const mongoose = require('mongoose');
+
+// Sort spec with an _id tiebreaker in the direction of the last key
+const withTiebreaker = (sort) => {
+  const directions = Object.values(sort);
+  return { ...sort, _id: directions.length > 0 ? directions[directions.length - 1] : -1 };
+};
+
+const sortSignature = (sort) => Object.entries(sort)
+  .map(([field, direction]) => `${field}:${direction}`)
+  .join(',');
+
+const encodeValue = (value) => {
+  if (value instanceof Date) return { d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { o: value.toString() };
+  return { v: value === undefined ? null : value };
+};
+
+const decodeValue = (value) => {
+  if (!value || typeof value !== 'object') throw new Error('Invalid cursor value');
+  if ('d' in value) {
+    const date = new Date(value.d);
+    if (isNaN(date)) throw new Error('Invalid cursor date');
+    return date;
+  }
+  if ('o' in value) return new mongoose.Types.ObjectId(value.o);
+  if ('v' in value) return value.v;
+  throw new Error('Invalid cursor value');
+};
+
+// Build the cursor pointing just after `doc` for `sort` (tiebreaker included)
+const encodeCursor = (doc, sort) => {
+  const fields = Object.keys(sort);
+  const values = fields.map(field => encodeValue(doc.get ? doc.get(field) : doc[field]));
+
+  return Buffer.from(JSON.stringify({ s: sortSignature(sort), k: values }))
+    .toString('base64url');
+};
+
+// Filter selecting the documents after `cursor` in `sort` order ({} for an
+// empty cursor, i.e. the first page). Returns null when the cursor is
+// malformed or was issued for a different sort.
+const cursorFilter = (cursor, sort) => {
+  if (!cursor) return {};
+
+  let values;
+  try {
+    const parsed = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (parsed.s !== sortSignature(sort) || !Array.isArray(parsed.k)) return null;
+    values = parsed.k.map(decodeValue);
+  } catch (error) {
+    return null;
+  }
+
+  const fields = Object.keys(sort);
+  if (values.length !== fields.length) return null;
+
+  // (a > x) OR (a = x AND b > y) OR ... for each sort key in turn
+  const clauses = fields.map((field, index) => {
+    const clause = {};
+    fields.slice(0, index).forEach((previous, previousIndex) => {
+      clause[previous] = values[previousIndex];
+    });
+    clause[field] = { [sort[field] === 1 ? '$gt' : '$lt']: values[index] };
+    return clause;
+  });
+
+  return { $or: clauses };
+};
+
+// Split a page fetched with limit + 1 documents into items and the
+// pagination block for the response
+const cursorPage = (docs, limit, sort) => {
+  const hasNextPage = docs.length > limit;
+  const items = hasNextPage ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    pagination: {
+      limit,
+      hasNextPage,
+      nextCursor: hasNextPage ? encodeCursor(items[items.length - 1], sort) : null
+    }
+  };
+};
+
+module.exports = {
+  withTiebreaker,
+  encodeCursor,
+  cursorFilter,
+  cursorPage
+};
@@ -0,0 +1,28 @@
+// Answer a request made with an outdated slug with a 301 redirect.
+// The Location keeps the rest of the path and the query string, so
+// /api/posts/old-slug?toc=only becomes /api/posts/new-slug?toc=only.
+// The JSON body carries the new slug for clients that don't follow redirects.
+const sendSlugRedirect = (req, res, slug) => {
+  const [pathname, search] = req.originalUrl.split('?');
+  const segments = pathname.split('/');
+
+  // The :slug param is the first segment after the router's mount path
+  segments[req.baseUrl.split('/').length] = encodeURIComponent(slug);
+
+  const location = `${segments.join('/')}${search ? `?${search}` : ''}`;
+
+  res.status(301)
+    .location(location)
+    .json({
+      success: true,
+      message: 'This resource has moved',
+      redirect: {
+        slug,
+        location
+      }
+    });
+};
+
+module.exports = {
+  sendSlugRedirect
+};
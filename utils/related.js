@@ -0,0 +1,165 @@
+// Related-post computation: candidates share a tag or the category, or
+// match the post's key terms, and are ranked by tag overlap, category and
+// term similarity of title/excerpt. Editor pins come first and exclusions
+// are never returned.
+
+const Post = require('../models/Post');
+const { toPlainText } = require('./search');
+
+const CANDIDATE_LIMIT = 200;
+const TEXT_CANDIDATE_LIMIT = 50;
+const KEY_TERM_COUNT = 10;
+const RELATED_FIELDS = 'title slug excerpt featuredImage publishedAt tags category';
+
+// Relative weight of each similarity signal
+const WEIGHTS = {
+  tags: 3,
+  terms: 2,
+  category: 1
+};
+
+const STOP_WORDS = new Set([
+  'a', 'about', 'after', 'all', 'also', 'an', 'and', 'any', 'are', 'as', 'at',
+  'be', 'been', 'but', 'by', 'can', 'do', 'does', 'for', 'from', 'get', 'has',
+  'have', 'how', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'more', 'most',
+  'my', 'new', 'not', 'of', 'on', 'one', 'or', 'our', 'out', 'so', 'than',
+  'that', 'the', 'their', 'them', 'then', 'there', 'these', 'they', 'this',
+  'to', 'up', 'use', 'using', 'was', 'we', 'what', 'when', 'which', 'who',
+  'why', 'will', 'with', 'you', 'your'
+]);
+
+const getDefaultLimit = () => parseInt(process.env.RELATED_POSTS_LIMIT) || 5;
+
+// Split text into lowercase terms, dropping stop words and short tokens
+const tokenize = (text = '') => toPlainText(text)
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(term => term.length > 2 && !STOP_WORDS.has(term));
+
+// Term frequencies of a post's title (counted twice) and excerpt
+const termVector = (post) => {
+  const vector = new Map();
+  [...tokenize(post.title), ...tokenize(post.title), ...tokenize(post.excerpt)].forEach(term => {
+    vector.set(term, (vector.get(term) || 0) + 1);
+  });
+  return vector;
+};
+
+const cosineSimilarity = (a, b) => {
+  let dot = 0;
+  a.forEach((weight, term) => {
+    if (b.has(term)) dot += weight * b.get(term);
+  });
+  if (dot === 0) return 0;
+
+  const norm = (vector) => Math.sqrt(Array.from(vector.values()).reduce((sum, weight) => sum + weight * weight, 0));
+  return dot / (norm(a) * norm(b));
+};
+
+const tagOverlap = (a = [], b = []) => {
+  const tags = new Set(a);
+  const shared = b.filter(tag => tags.has(tag)).length;
+  const union = new Set([...a, ...b]).size;
+  return union > 0 ? shared / union : 0;
+};
+
+const idOf = (value) => (value && value._id ? value._id : value).toString();
+
+// Score how closely `candidate` relates to `post` (higher is closer)
+const scoreCandidate = (post, vector, candidate) => {
+  return WEIGHTS.tags * tagOverlap(post.tags, candidate.tags) +
+    WEIGHTS.terms * cosineSimilarity(vector, termVector(candidate)) +
+    WEIGHTS.category * (idOf(post.category) === idOf(candidate.category) ? 1 : 0);
+};
+
+// Compute the related posts for `post`, most related first
+const computeRelatedPosts = async (post, limit = getDefaultLimit()) => {
+  const excludedIds = [post._id, ...(post.relatedExcluded || [])];
+  const pinnedIds = (post.relatedPinned || [])
+    .map(idOf)
+    .filter(id => id !== idOf(post._id));
+
+  // Pinned posts keep the editor's order (and are skipped once unpublished)
+  const pinnedPosts = pinnedIds.length > 0
+    ? await Post.find({ _id: { $in: pinnedIds }, status: 'published' }).select(RELATED_FIELDS)
+    : [];
+  const pinned = pinnedIds
+    .map(id => pinnedPosts.find(candidate => idOf(candidate._id) === id))
+    .filter(Boolean)
+    .slice(0, limit);
+
+  if (pinned.length >= limit) {
+    return pinned;
+  }
+
+  const skipIds = [...excludedIds, ...pinned.map(candidate => candidate._id)];
+  const vector = termVector(post);
+  const keyTerms = Array.from(vector.entries())
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, KEY_TERM_COUNT)
+    .map(([term]) => term);
+
+  const structuralQuery = {
+    status: 'published',
+    _id: { $nin: skipIds },
+    $or: [{ category: post.category && post.category._id ? post.category._id : post.category }]
+  };
+  if (post.tags && post.tags.length > 0) {
+    structuralQuery.$or.push({ tags: { $in: post.tags } });
+  }
+
+  const [structural, textual] = await Promise.all([
+    Post.find(structuralQuery)
+      .select(RELATED_FIELDS)
+      .sort({ publishedAt: -1 })
+      .limit(CANDIDATE_LIMIT),
+    keyTerms.length > 0
+      ? Post.find({
+        status: 'published',
+        _id: { $nin: skipIds },
+        $text: { $search: keyTerms.join(' ') }
+      })
+        .select(RELATED_FIELDS)
+        .sort({ score: { $meta: 'textScore' } })
+        .limit(TEXT_CANDIDATE_LIMIT)
+      : []
+  ]);
+
+  const candidates = new Map();
+  [...structural, ...textual].forEach(candidate => {
+    candidates.set(idOf(candidate._id), candidate);
+  });
+
+  const ranked = Array.from(candidates.values())
+    .map(candidate => ({ candidate, score: scoreCandidate(post, vector, candidate) }))
+    .filter(entry => entry.score > 0)
+    .sort((a, b) => b.score - a.score ||
+      new Date(b.candidate.publishedAt || 0) - new Date(a.candidate.publishedAt || 0))
+    .map(entry => entry.candidate);
+
+  return [...pinned, ...ranked].slice(0, limit);
+};
+
+// Recompute and store Post.relatedPosts (published posts only)
+const refreshRelatedPosts = async (post) => {
+  if (post.status !== 'published') return post.relatedPosts;
+
+  const related = await computeRelatedPosts(post);
+  const relatedIds = related.map(candidate => candidate._id);
+
+  // Derived field: leave updatedAt alone so this doesn't look like an edit
+  await Post.updateOne(
+    { _id: post._id },
+    { $set: { relatedPosts: relatedIds } },
+    { timestamps: false }
+  );
+  post.relatedPosts = relatedIds;
+
+  return relatedIds;
+};
+
+module.exports = {
+  RELATED_FIELDS,
+  computeRelatedPosts,
+  refreshRelatedPosts
+};
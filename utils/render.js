@@ -0,0 +1,196 @@
+// Server-side rendering of post content to sanitized HTML.
+// Markdown is rendered with marked (syntax-highlighted code blocks and
+// heading anchors); html/richtext content is passed through the same
+// allow-list sanitizer so stored posts can never carry scripts.
+
+const { Marked } = require('marked');
+const { markedHighlight } = require('marked-highlight');
+const hljs = require('highlight.js');
+const sanitizeHtml = require('sanitize-html');
+const slugify = require('slugify');
+
+const HEADING_TAGS = ['h1', 'h2', 'h3', 'h4', 'h5', 'h6'];
+
+const SANITIZE_OPTIONS = {
+  allowedTags: sanitizeHtml.defaults.allowedTags.concat([
+    'img', 'h1', 'h2', 'del', 'ins', 'sup', 'sub', 'figure', 'figcaption'
+  ]),
+  allowedAttributes: {
+    a: ['href', 'name', 'target', 'rel', 'title', 'class', 'aria-hidden'],
+    img: ['src', 'alt', 'title', 'width', 'height', 'loading'],
+    code: ['class'],
+    span: ['class'],
+    pre: ['class'],
+    th: ['align', 'colspan', 'rowspan'],
+    td: ['align', 'colspan', 'rowspan'],
+    ...HEADING_TAGS.reduce((attrs, tag) => ({ ...attrs, [tag]: ['id'] }), {})
+  },
+  allowedClasses: {
+    a: ['heading-anchor'],
+    code: ['hljs', 'language-*'],
+    pre: ['hljs'],
+    span: ['hljs-*']
+  },
+  allowedSchemes: ['http', 'https', 'mailto'],
+  allowProtocolRelative: false
+};
+
+const decodeEntities = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&#0?39;/g, "'")
+  .replace(/&nbsp;/g, ' ')
+  .replace(/&amp;/g, '&');
+
+// Create a heading id generator. Ids are derived from the heading text only,
+// so they stay stable across edits that don't touch the heading; repeated
+// headings get -2, -3… suffixes in document order.
+const createSlugger = () => {
+  const used = new Map();
+
+  return (text) => {
+    const base = slugify(String(text), { lower: true, strict: true }) || 'section';
+    const count = used.get(base) || 0;
+    used.set(base, count + 1);
+    return count === 0 ? base : `${base}-${count + 1}`;
+  };
+};
+
+const headingHtml = (level, id, inner) => (
+  `<h${level} id="${id}"><a class="heading-anchor" href="#${id}" aria-hidden="true">#</a>${inner}</h${level}>\n`
+);
+
+// Strip markup and return the visible text of an HTML fragment
+const toPlainText = (html = '') => decodeEntities(
+  sanitizeHtml(
+    // Drop the "#" heading anchor links we generate
+    String(html).replace(/<a class="heading-anchor"[^>]*>#<\/a>/g, ''),
+    { allowedTags: [], allowedAttributes: {} }
+  )
+)
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Anchor ids for the document currently being rendered, in heading order
+let nextAnchor = () => null;
+
+// Return a generator that hands out `anchors` in order and falls back to
+// text-derived ids for any heading beyond the list
+const anchorQueue = (anchors = []) => {
+  const slug = createSlugger();
+  let i = 0;
+  return (text) => anchors[i++] || slug(text);
+};
+
+const markdown = new Marked(
+  markedHighlight({
+    langPrefix: 'hljs language-',
+    highlight(code, lang) {
+      const language = hljs.getLanguage(lang) ? lang : 'plaintext';
+      return hljs.highlight(code, { language }).value;
+    }
+  }),
+  {
+    gfm: true,
+    renderer: {
+      heading(text, level, raw) {
+        return headingHtml(level, nextAnchor(toPlainText(markdown.parseInline(raw))), text);
+      }
+    }
+  }
+);
+
+const HTML_HEADING_REGEX = /<h([1-6])(?:\s[^>]*)?>([\s\S]*?)<\/h\1>/gi;
+
+// Give every heading in an HTML fragment an anchor id
+const addHeadingAnchors = (html, anchors) => {
+  const anchorFor = anchorQueue(anchors);
+
+  return html.replace(HTML_HEADING_REGEX, (match, level, inner) => (
+    headingHtml(level, anchorFor(toPlainText(inner)), inner).trimEnd()
+  ));
+};
+
+// List the headings of post content as [{ level, text }] in document order
+const extractHeadings = (content = '', contentType = 'markdown') => {
+  const headings = [];
+
+  if (contentType === 'markdown') {
+    const walk = (tokens = []) => tokens.forEach(token => {
+      if (token.type === 'heading') {
+        headings.push({
+          level: token.depth,
+          text: toPlainText(markdown.parseInline(token.text))
+        });
+      }
+      walk(token.tokens);
+      walk(token.items);
+    });
+    walk(markdown.lexer(String(content)));
+  } else {
+    const html = sanitizeHtml(String(content), SANITIZE_OPTIONS);
+    let match;
+    HTML_HEADING_REGEX.lastIndex = 0;
+    while ((match = HTML_HEADING_REGEX.exec(html)) !== null) {
+      headings.push({ level: parseInt(match[1]), text: toPlainText(match[2]) });
+    }
+  }
+
+  return headings;
+};
+
+// Build a table of contents [{ level, text, anchor }] from headings.
+// Anchors from `previousToc` are reused for headings whose text is
+// unchanged, so existing links survive edits elsewhere in the post.
+const buildToc = (headings, previousToc = []) => {
+  const reusable = new Map();
+  previousToc.forEach(entry => {
+    if (!reusable.has(entry.text)) reusable.set(entry.text, []);
+    reusable.get(entry.text).push(entry.anchor);
+  });
+
+  const used = new Set();
+  const anchors = headings.map(heading => {
+    const anchor = (reusable.get(heading.text) || []).shift();
+    if (anchor) used.add(anchor);
+    return anchor;
+  });
+
+  return headings.map((heading, i) => {
+    let anchor = anchors[i];
+    if (!anchor) {
+      const base = slugify(heading.text, { lower: true, strict: true }) || 'section';
+      anchor = base;
+      for (let n = 2; used.has(anchor); n++) {
+        anchor = `${base}-${n}`;
+      }
+      used.add(anchor);
+    }
+
+    return { level: heading.level, text: heading.text, anchor };
+  });
+};
+
+// Render post content to sanitized HTML according to its contentType.
+// `anchors` optionally fixes the heading ids, in document order.
+const renderContent = (content = '', contentType = 'markdown', anchors = []) => {
+  let html;
+
+  if (contentType === 'markdown') {
+    nextAnchor = anchorQueue(anchors);
+    html = markdown.parse(String(content));
+  } else {
+    html = addHeadingAnchors(sanitizeHtml(String(content), SANITIZE_OPTIONS), anchors);
+  }
+
+  return sanitizeHtml(html, SANITIZE_OPTIONS);
+};
+
+module.exports = {
+  createSlugger,
+  extractHeadings,
+  buildToc,
+  renderContent,
+  toPlainText
+};
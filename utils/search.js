@@ -0,0 +1,136 @@
+// Helpers for full-text search: query parsing, plain-text extraction and
+// highlighted snippets around matched terms.
+
+const MAX_QUERY_LENGTH = 200;
+
+// Escape a string for literal use inside a RegExp
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Escape HTML so snippets can safely carry <mark> tags
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Parse a search string into plain terms, "quoted phrases" and -exclusions
+const parseSearchQuery = (input = '') => {
+  const text = String(input).slice(0, MAX_QUERY_LENGTH);
+  const terms = [];
+  const phrases = [];
+  const excluded = [];
+  const tokenRegex = /(-?)"([^"]+)"|(-?)([^\s"]+)/g;
+  let match;
+
+  while ((match = tokenRegex.exec(text)) !== null) {
+    if (match[2] !== undefined) {
+      const phrase = match[2].trim();
+      if (!phrase) continue;
+      (match[1] ? excluded : phrases).push(phrase);
+    } else {
+      const term = match[4];
+      if (match[3]) {
+        if (term) excluded.push(term);
+      } else {
+        terms.push(term);
+      }
+    }
+  }
+
+  return { terms, phrases, excluded };
+};
+
+// Build the $text search string understood by MongoDB from a parsed query
+const toTextSearch = ({ terms, phrases, excluded }) => {
+  return [
+    ...phrases.map(phrase => `"${phrase.replace(/"/g, '')}"`),
+    ...terms,
+    ...excluded.map(term => `-${term.includes(' ') ? `"${term}"` : term}`)
+  ].join(' ');
+};
+
+// Reduce markdown/HTML content to plain text for snippets
+const toPlainText = (text = '') => String(text)
+  .replace(/```[\s\S]*?```/g, ' ')
+  .replace(/<[^>]*>/g, ' ')
+  .replace(/!\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/\[([^\]]*)\]\([^)]*\)/g, '$1')
+  .replace(/[#>*_`~|]+/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Build a RegExp matching any positive term or phrase (terms also match
+// longer words so stemmed matches like "phone" -> "phones" are highlighted)
+const buildMatcher = ({ terms, phrases }) => {
+  const patterns = [
+    ...phrases.map(phrase => escapeRegex(phrase).replace(/\s+/g, '\\s+')),
+    ...terms.map(term => `${escapeRegex(term)}\\w*`)
+  ];
+
+  if (patterns.length === 0) return null;
+  return new RegExp(`(${patterns.join('|')})`, 'gi');
+};
+
+// Wrap every match in <mark>, escaping everything else
+const highlight = (text, matcher) => {
+  if (!text) return '';
+  if (!matcher) return escapeHtml(text);
+
+  return text
+    .split(matcher)
+    .map((part, index) => (index % 2 === 1
+      ? `<mark>${escapeHtml(part)}</mark>`
+      : escapeHtml(part)))
+    .join('');
+};
+
+// Extract a window of text around the first match and highlight it
+const buildSnippet = (text, matcher, length = 200) => {
+  const plain = toPlainText(text);
+  if (!plain) return '';
+
+  let start = 0;
+  if (matcher) {
+    const found = plain.search(matcher);
+    if (found > length / 2) {
+      start = plain.lastIndexOf(' ', found - Math.floor(length / 4)) + 1;
+    }
+  }
+
+  const end = Math.min(plain.length, start + length);
+  const snippet = plain.slice(start, end);
+
+  return `${start > 0 ? '…' : ''}${highlight(snippet, matcher)}${end < plain.length ? '…' : ''}`;
+};
+
+// Add highlighted title/snippet to search results and drop the full content
+const withHighlights = (posts, parsed) => {
+  const matcher = buildMatcher(parsed);
+
+  return posts.map(post => {
+    const data = typeof post.toJSON === 'function' ? post.toJSON() : { ...post };
+    const source = data.content || data.excerpt || '';
+    const snippetSource = matcher && data.excerpt && toPlainText(data.excerpt).search(matcher) !== -1
+      ? data.excerpt
+      : source;
+
+    data.highlights = {
+      title: highlight(data.title, matcher),
+      snippet: buildSnippet(snippetSource, matcher)
+    };
+    delete data.content;
+
+    return data;
+  });
+};
+
+module.exports = {
+  escapeRegex,
+  parseSearchQuery,
+  toTextSearch,
+  toPlainText,
+  buildMatcher,
+  highlight,
+  buildSnippet,
+  withHighlights
+};
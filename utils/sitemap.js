@@ -0,0 +1,171 @@
+// XML sitemap sources and rendering.
+// Each source knows how to count and page through its URLs so large sites
+// can be split into sub-sitemaps of at most SITEMAP_URL_LIMIT entries.
+
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+const { escapeXml } = require('./feeds');
+
+const SITEMAP_URL_LIMIT = 50000;
+
+const siteUrl = () => (process.env.SITE_URL || 'http://localhost:3000').replace(/\/$/, '');
+
+const tagPipeline = [
+  { $match: { status: 'published' } },
+  { $unwind: '$tags' },
+  { $group: { _id: '$tags', lastmod: { $max: '$updatedAt' } } }
+];
+
+// Every credited user (posts without contributors credit their author)
+const authorPipeline = [
+  { $match: { status: 'published' } },
+  {
+    $project: {
+      updatedAt: 1,
+      users: {
+        $cond: [
+          { $gt: [{ $size: { $ifNull: ['$contributors', []] } }, 0] },
+          '$contributors.user',
+          ['$author']
+        ]
+      }
+    }
+  },
+  { $unwind: '$users' },
+  { $match: { users: { $ne: null } } },
+  { $group: { _id: '$users', lastmod: { $max: '$updatedAt' } } },
+  {
+    $lookup: {
+      from: 'users',
+      localField: '_id',
+      foreignField: '_id',
+      as: 'user'
+    }
+  },
+  { $unwind: '$user' },
+  { $match: { 'user.isActive': true } }
+];
+
+const countPipeline = async (pipeline) => {
+  const result = await Post.aggregate([...pipeline, { $count: 'total' }]);
+  return result.length > 0 ? result[0].total : 0;
+};
+
+// Sitemap sources keyed by sub-sitemap name
+const SOURCES = {
+  posts: {
+    count: () => Post.countDocuments({ status: 'published' }),
+    load: async (skip, limit) => {
+      const posts = await Post.find({ status: 'published' })
+        .select('slug updatedAt seo.canonicalUrl')
+        .sort({ _id: 1 })
+        .skip(skip)
+        .limit(limit);
+
+      return posts.map(post => ({
+        loc: post.seo?.canonicalUrl || `${siteUrl()}${post.url}`,
+        lastmod: post.updatedAt
+      }));
+    }
+  },
+  categories: {
+    count: () => Category.countDocuments({ isActive: true }),
+    load: async (skip, limit) => {
+      const categories = await Category.find({ isActive: true })
+        .select('slug updatedAt')
+        .sort({ _id: 1 })
+        .skip(skip)
+        .limit(limit);
+
+      return categories.map(category => ({
+        loc: `${siteUrl()}${category.url}`,
+        lastmod: category.updatedAt
+      }));
+    }
+  },
+  tags: {
+    count: () => countPipeline(tagPipeline),
+    load: async (skip, limit) => {
+      const tags = await Post.aggregate([
+        ...tagPipeline,
+        { $sort: { _id: 1 } },
+        { $skip: skip },
+        { $limit: limit }
+      ]);
+
+      return tags.map(tag => ({
+        loc: `${siteUrl()}/tag/${encodeURIComponent(tag._id)}`,
+        lastmod: tag.lastmod
+      }));
+    }
+  },
+  authors: {
+    count: () => countPipeline(authorPipeline),
+    load: async (skip, limit) => {
+      const authors = await Post.aggregate([
+        ...authorPipeline,
+        { $sort: { _id: 1 } },
+        { $skip: skip },
+        { $limit: limit }
+      ]);
+
+      return authors.map(author => ({
+        loc: `${siteUrl()}/author/${encodeURIComponent(author.user.username)}`,
+        lastmod: author.lastmod
+      }));
+    }
+  }
+};
+
+const renderUrlset = (urls) => `<?xml version="1.0" encoding="UTF-8"?>
+<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${urls.map(url => `  <url>
+    <loc>${escapeXml(url.loc)}</loc>
+${url.lastmod ? `    <lastmod>${new Date(url.lastmod).toISOString()}</lastmod>\n` : ''}\
+  </url>`).join('\n')}
+</urlset>
+`;
+
+const renderIndex = (sitemaps) => `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${sitemaps.map(sitemap => `  <sitemap>
+    <loc>${escapeXml(sitemap.loc)}</loc>
+  </sitemap>`).join('\n')}
+</sitemapindex>
+`;
+
+// Count URLs per source
+const countUrls = async () => {
+  const names = Object.keys(SOURCES);
+  const counts = await Promise.all(names.map(name => SOURCES[name].count()));
+
+  return names.reduce((result, name, i) => {
+    result[name] = counts[i];
+    return result;
+  }, {});
+};
+
+// Load every URL from every source (only used below the split threshold)
+const loadAllUrls = async () => {
+  const lists = await Promise.all(
+    Object.values(SOURCES).map(source => source.load(0, SITEMAP_URL_LIMIT))
+  );
+  return lists.flat();
+};
+
+// Load one page of a single source; `page` starts at 1
+const loadPage = (name, page) => {
+  const source = SOURCES[name];
+  if (!source) return null;
+  return source.load((page - 1) * SITEMAP_URL_LIMIT, SITEMAP_URL_LIMIT);
+};
+
+module.exports = {
+  SITEMAP_URL_LIMIT,
+  SOURCES,
+  renderUrlset,
+  renderIndex,
+  countUrls,
+  loadAllUrls,
+  loadPage
+};
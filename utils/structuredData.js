@@ -0,0 +1,55 @@
+// schema.org JSON-LD for post pages, returned alongside the post so the
+// frontend can embed it in a <script type="application/ld+json"> tag.
+
+const { siteUrl, absoluteUrl } = require('./feeds');
+const { creditsOf } = require('./contributors');
+
+const toPerson = (credit, apiBase) => ({
+  '@type': 'Person',
+  name: credit.name,
+  ...(credit.url ? { url: absoluteUrl(credit.url, siteUrl()) } : {}),
+  ...(credit.avatar ? { image: absoluteUrl(credit.avatar, apiBase) } : {})
+});
+
+// Build a BlogPosting object for a post (contributors populated)
+const articleSchema = (post, req) => {
+  const apiBase = `${req.protocol}://${req.get('host')}`;
+  const url = post.seo?.canonicalUrl || `${siteUrl()}${post.url}`;
+  const image = absoluteUrl(post.seo?.ogImage || post.featuredImage?.url, apiBase);
+  const credits = creditsOf(post);
+  const withRole = (roles) => credits
+    .filter(credit => roles.includes(credit.role))
+    .map(credit => toPerson(credit, apiBase));
+
+  const authors = withRole(['author']);
+  const editors = withRole(['editor']);
+  const contributors = credits
+    .filter(credit => !['author', 'editor'].includes(credit.role))
+    .map(credit => toPerson(credit, apiBase));
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'BlogPosting',
+    headline: post.seo?.metaTitle || post.title,
+    description: post.seo?.metaDescription || post.excerpt || '',
+    url,
+    mainEntityOfPage: url,
+    datePublished: (post.publishedAt || post.createdAt || new Date()).toISOString(),
+    dateModified: (post.updatedAt || post.publishedAt || post.createdAt || new Date()).toISOString(),
+    ...(image ? { image } : {}),
+    ...(post.category?.name ? { articleSection: post.category.name } : {}),
+    keywords: (post.tags || []).join(', '),
+    author: authors.length > 0 ? authors : contributors,
+    ...(editors.length > 0 ? { editor: editors } : {}),
+    ...(authors.length > 0 && contributors.length > 0 ? { contributor: contributors } : {}),
+    publisher: {
+      '@type': 'Organization',
+      name: process.env.SITE_TITLE || 'Tech Blog',
+      url: siteUrl()
+    }
+  };
+};
+
+module.exports = {
+  articleSchema
+};
@@ -0,0 +1,224 @@
+// In-memory prefix index for search autocomplete.
+// Holds published post titles, tags and active category names in a sorted
+// key list so lookups are a binary search plus a short scan. The index is
+// rebuilt after posts or categories change (debounced) and periodically by
+// the background job runner so every instance eventually converges.
+
+const Post = require('../models/Post');
+const Category = require('../models/Category');
+
+const MAX_SCAN = 500;
+// Every tag in use should be suggestable, not just the popular ones
+const MAX_TAGS = 10000;
+const REBUILD_DELAY_MS = 2000;
+
+let index = {
+  keys: [],       // sorted [{ key, entry }]
+  vocabulary: [], // unique known words for "did you mean"
+  builtAt: null
+};
+let rebuildTimer = null;
+let rebuildPromise = null;
+
+// Lowercase, strip accents and collapse whitespace
+const normalize = (value = '') => String(value)
+  .toLowerCase()
+  .normalize('NFKD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[^a-z0-9+#.\s-]/g, ' ')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+// Index a phrase under its full text and every word start within it
+const addKeys = (keys, text, entry) => {
+  const words = normalize(text).split(' ').filter(Boolean);
+  words.forEach((word, i) => {
+    keys.push({ key: words.slice(i).join(' '), entry });
+  });
+};
+
+const buildIndex = async () => {
+  const [posts, tags, categories] = await Promise.all([
+    Post.find({ status: 'published' }).select('title slug views'),
+    Post.findTagCounts(MAX_TAGS),
+    Category.find({ isActive: true }).select('name slug postCount')
+  ]);
+
+  const keys = [];
+  const vocabulary = new Set();
+
+  posts.forEach(post => {
+    const entry = { type: 'title', title: post.title, slug: post.slug, weight: post.views };
+    addKeys(keys, post.title, entry);
+    normalize(post.title).split(' ').forEach(word => word.length > 2 && vocabulary.add(word));
+  });
+
+  tags.forEach(tag => {
+    const entry = { type: 'tag', name: tag.name, count: tag.count, weight: tag.count };
+    addKeys(keys, tag.name, entry);
+    normalize(tag.name).split(' ').forEach(word => word && vocabulary.add(word));
+  });
+
+  categories.forEach(category => {
+    const entry = {
+      type: 'category',
+      name: category.name,
+      slug: category.slug,
+      weight: category.postCount
+    };
+    addKeys(keys, category.name, entry);
+    normalize(category.name).split(' ').forEach(word => word.length > 2 && vocabulary.add(word));
+  });
+
+  keys.sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0));
+
+  index = {
+    keys,
+    vocabulary: Array.from(vocabulary),
+    builtAt: new Date()
+  };
+
+  return index;
+};
+
+// Rebuild the index now (concurrent callers share the same rebuild)
+const rebuildSuggestionIndex = () => {
+  if (!rebuildPromise) {
+    rebuildPromise = buildIndex().finally(() => {
+      rebuildPromise = null;
+    });
+  }
+  return rebuildPromise;
+};
+
+// Build the index on first use
+const ensureSuggestionIndex = () => {
+  return index.builtAt ? Promise.resolve(index) : rebuildSuggestionIndex();
+};
+
+// Queue a rebuild shortly after content changes, coalescing bursts of edits
+const scheduleSuggestionRebuild = () => {
+  if (rebuildTimer) return;
+
+  rebuildTimer = setTimeout(() => {
+    rebuildTimer = null;
+    rebuildSuggestionIndex().catch(error => {
+      console.error('Suggestion index rebuild error:', error);
+    });
+  }, REBUILD_DELAY_MS);
+  rebuildTimer.unref();
+};
+
+// Find the first key >= prefix
+const lowerBound = (keys, prefix) => {
+  let low = 0;
+  let high = keys.length;
+  while (low < high) {
+    const mid = (low + high) >>> 1;
+    if (keys[mid].key < prefix) {
+      low = mid + 1;
+    } else {
+      high = mid;
+    }
+  }
+  return low;
+};
+
+// Levenshtein distance, giving up once it exceeds `max`
+const editDistance = (a, b, max) => {
+  if (Math.abs(a.length - b.length) > max) return max + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > max) return max + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+// Suggest the closest known spelling for each word of the query.
+// Returns null when nothing close enough (or nothing different) is known.
+const didYouMean = (queryText) => {
+  const words = normalize(queryText).split(' ').filter(Boolean);
+  if (words.length === 0) return null;
+
+  const known = new Set(index.vocabulary);
+  let changed = false;
+
+  const corrected = words.map(word => {
+    if (known.has(word) || word.length < 3) return word;
+
+    const max = Math.max(1, Math.floor(word.length / 3));
+    let best = null;
+    let bestDistance = max + 1;
+
+    index.vocabulary.forEach(candidate => {
+      const distance = editDistance(word, candidate, max);
+      if (distance < bestDistance) {
+        best = candidate;
+        bestDistance = distance;
+      }
+    });
+
+    if (best) {
+      changed = true;
+      return best;
+    }
+    return word;
+  });
+
+  return changed ? corrected.join(' ') : null;
+};
+
+// Look up titles, tags and categories starting with `queryText`
+const suggest = async (queryText, limit = 5) => {
+  await ensureSuggestionIndex();
+
+  const prefix = normalize(queryText);
+  const results = { titles: [], tags: [], categories: [] };
+  if (!prefix) return results;
+
+  const seen = new Set();
+  const matches = [];
+  for (let i = lowerBound(index.keys, prefix), scanned = 0;
+    i < index.keys.length && scanned < MAX_SCAN && index.keys[i].key.startsWith(prefix);
+    i++, scanned++) {
+    const { entry } = index.keys[i];
+    if (!seen.has(entry)) {
+      seen.add(entry);
+      matches.push(entry);
+    }
+  }
+
+  matches
+    .sort((a, b) => b.weight - a.weight)
+    .forEach(entry => {
+      if (entry.type === 'title' && results.titles.length < limit) {
+        results.titles.push({ title: entry.title, slug: entry.slug });
+      } else if (entry.type === 'tag' && results.tags.length < limit) {
+        results.tags.push({ name: entry.name, count: entry.count });
+      } else if (entry.type === 'category' && results.categories.length < limit) {
+        results.categories.push({ name: entry.name, slug: entry.slug });
+      }
+    });
+
+  return results;
+};
+
+module.exports = {
+  suggest,
+  didYouMean,
+  ensureSuggestionIndex,
+  rebuildSuggestionIndex,
+  scheduleSuggestionRebuild
+};
@@ -0,0 +1,38 @@
+// Deduplicated view counting.
+// A visitor's view of a post is counted at most once per
+// VIEW_DEDUPE_WINDOW_MINUTES (default 30); bots and prefetches are ignored.
+// Anonymous visitors are identified by IP address (see ./visitor), so
+// rotating request headers can't inflate counts.
+// Counted views go to the lifetime Post.views and to today's daily bucket.
+
+const Post = require('../models/Post');
+const PostViewMark = require('../models/PostViewMark');
+const PostDailyStat = require('../models/PostDailyStat');
+const { getVisitorKey, isAutomatedRequest } = require('./visitor');
+
+const dedupeWindowMs = () =>
+  (parseInt(process.env.VIEW_DEDUPE_WINDOW_MINUTES) || 30) * 60 * 1000;
+
+// Returns true when the view was counted
+const recordView = async (post, req) => {
+  if (isAutomatedRequest(req)) {
+    return false;
+  }
+
+  const counted = await PostViewMark.claim(post._id, getVisitorKey(req), dedupeWindowMs());
+  if (!counted) {
+    return false;
+  }
+
+  // Counters aren't edits: updatedAt drives feed and sitemap validators
+  await Promise.all([
+    Post.updateOne({ _id: post._id }, { $inc: { views: 1 } }, { timestamps: false }),
+    PostDailyStat.increment(post._id, { views: 1 })
+  ]);
+
+  return true;
+};
+
+module.exports = {
+  recordView
+};
@@ -0,0 +1,37 @@
+// Identify the caller for per-visitor bookkeeping (reactions, view counts).
+// Signed-in users are keyed by id. Anonymous visitors are keyed by a hash
+// of their IP address (req.ip, which honors TRUST_PROXY). Nothing the
+// client sends in headers goes into the key, so rotating them doesn't
+// yield a fresh identity; the raw IP is never stored.
+
+const crypto = require('crypto');
+
+const getVisitorKey = (req) => {
+  if (req.user) {
+    return `user:${req.user._id}`;
+  }
+
+  const hash = crypto.createHash('sha256').update(`ip:${req.ip}`).digest('hex');
+  return `visitor:${hash}`;
+};
+
+// User agents of crawlers, link previewers and HTTP libraries
+const BOT_PATTERN = /bot|crawl|spider|slurp|mediapartners|facebookexternalhit|embedly|preview|headless|lighthouse|pingdom|uptime|monitor|curl|wget|python-requests|axios|node-fetch|undici|go-http-client|java\//i;
+
+// Whether the request comes from a bot or is a prefetch rather than a read.
+// Our SSR layer marks its prefetches with X-Prefetch; browsers send
+// Sec-Purpose/Purpose: prefetch for speculative loads.
+const isAutomatedRequest = (req) => {
+  const userAgent = req.get('User-Agent');
+  if (!userAgent || BOT_PATTERN.test(userAgent)) {
+    return true;
+  }
+
+  const purpose = req.get('Sec-Purpose') || req.get('Purpose') || '';
+  return Boolean(req.get('X-Prefetch')) || /prefetch|prerender/i.test(purpose);
+};
+
+module.exports = {
+  getVisitorKey,
+  isAutomatedRequest
+};
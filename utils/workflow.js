@@ -0,0 +1,107 @@
+// Editorial workflow: post statuses and the transitions each role may make.
+//
+//   draft → in_review → approved → scheduled → published → archived
+//                ↘ changes_requested ↗
+//
+// The default transition table can be overridden per deployment with the
+// POST_WORKFLOW environment variable, a JSON object of the same shape
+// ({ "<from>": { "<to>": ["<role>", ...] } }); states listed there replace
+// the defaults for that state.
+
+const STATUSES = [
+  'draft',
+  'in_review',
+  'changes_requested',
+  'approved',
+  'scheduled',
+  'published',
+  'archived'
+];
+
+const EDITORS = ['editor', 'admin'];
+const ADMINS = ['admin'];
+
+const DEFAULT_TRANSITIONS = {
+  draft: {
+    in_review: EDITORS,
+    scheduled: ADMINS,
+    published: ADMINS,
+    archived: ADMINS
+  },
+  in_review: {
+    draft: EDITORS, // withdraw
+    approved: ADMINS,
+    changes_requested: ADMINS
+  },
+  changes_requested: {
+    draft: EDITORS,
+    in_review: EDITORS
+  },
+  approved: {
+    draft: EDITORS,
+    scheduled: EDITORS,
+    published: EDITORS
+  },
+  scheduled: {
+    approved: EDITORS, // cancel schedule
+    published: ADMINS
+  },
+  published: {
+    draft: ADMINS, // unpublish
+    archived: ADMINS
+  },
+  archived: {
+    draft: ADMINS,
+    published: ADMINS
+  }
+};
+
+// Transitions that must carry an explanatory comment
+const COMMENT_REQUIRED = ['changes_requested'];
+
+const loadTransitions = () => {
+  if (!process.env.POST_WORKFLOW) {
+    return DEFAULT_TRANSITIONS;
+  }
+
+  try {
+    const overrides = JSON.parse(process.env.POST_WORKFLOW);
+    return { ...DEFAULT_TRANSITIONS, ...overrides };
+  } catch (error) {
+    console.error('Invalid POST_WORKFLOW configuration, using defaults:', error.message);
+    return DEFAULT_TRANSITIONS;
+  }
+};
+
+const transitions = loadTransitions();
+
+// Statuses a user with `role` may move a post to from `from`
+const allowedTransitions = (from, role) => {
+  const targets = transitions[from] || {};
+  return Object.keys(targets).filter(to =>
+    STATUSES.includes(to) && (targets[to] || []).includes(role)
+  );
+};
+
+// Check a transition, returning an error message or null when allowed
+const validateTransition = (from, to, role, comment) => {
+  if (!STATUSES.includes(to)) {
+    return `Unknown status: ${to}`;
+  }
+
+  if (!allowedTransitions(from, role).includes(to)) {
+    return `Cannot move a post from ${from} to ${to}`;
+  }
+
+  if (COMMENT_REQUIRED.includes(to) && !(comment && String(comment).trim())) {
+    return `A comment is required to move a post to ${to}`;
+  }
+
+  return null;
+};
+
+module.exports = {
+  STATUSES,
+  allowedTransitions,
+  validateTransition
+};